@@ -0,0 +1,41 @@
+/* ================================================================
+   OnePage Monitoring v2.1
+   Password hash generator
+   ----------------------------------------------------------------
+   The dashboard has no built-in admin password. Before deploying,
+   provision one by hashing it here and pasting the printed object as
+   "passwordHash" of the admin user in database/opm-db.json:
+
+     node scripts/hash-password.js          (reads the password from stdin)
+
+   The format matches hashPassword() in scripts/main.js (PBKDF2,
+   SHA-256). Browsers that stored their DB before the hash was added
+   pick it up on their next load.
+   ================================================================ */
+
+"use strict";
+
+const crypto = require("crypto");
+const readline = require("readline");
+
+const ITERATIONS = 600000;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.pbkdf2Sync(password, salt, ITERATIONS, 32, "sha256");
+  return { algo: "PBKDF2-SHA-256", iterations: ITERATIONS, salt: salt.toString("base64"), hash: hash.toString("base64") };
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: false });
+if (process.stdin.isTTY) process.stderr.write("Password: ");
+
+rl.once("line", password => {
+  rl.close();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(JSON.stringify(hashPassword(password), null, 2));
+});
@@ -0,0 +1,47 @@
+/* ================================================================
+   OnePage Monitoring v2.1
+   Integration adapter: Opsgenie
+   ----------------------------------------------------------------
+   Loaded through "adapterScript" in config/integrations.json, after
+   scripts/main.js. Shows how a new integration is added without
+   touching the core: register an adapter under the integration id
+   (minus "int-"); the KPI tile, refresh button, settings form and
+   auth header are provided by the framework.
+   ================================================================ */
+
+"use strict";
+
+(() => {
+  const URGENT_PRIORITIES = ["P1", "P2"];
+
+  function normalizeOpsgenieResult(json) {
+    const items = (json?.data || [])
+      .filter(a => a.status !== "closed")
+      .map(a => ({
+        id: a.id,
+        title: a.message || `Alert ${a.tinyId || a.id}`,
+        status: a.acknowledged ? "acknowledged" : "triggered",
+        severity: a.priority || "",
+        service: a.owner || "",
+        ts: Date.parse(a.createdAt) || null,
+        url: `https://app.opsgenie.com/alert/detail/${encodeURIComponent(a.id)}/details`
+      }))
+      .sort((a, b) => a.severity.localeCompare(b.severity) || (b.ts || 0) - (a.ts || 0));
+
+    const urgent = items.filter(i => URGENT_PRIORITIES.includes(i.severity) && i.status === "triggered").length;
+    return {
+      count: items.length,
+      sub: urgent ? `Open alerts · ${urgent} urgent` : "Open alerts",
+      tone: urgent ? "down" : items.length ? "warn" : "ok",
+      summary: `${items.length} open alert(s), ${urgent} unacknowledged P1/P2`,
+      items
+    };
+  }
+
+  registerIntegrationAdapter("opsgenie", {
+    async poll(config, request) {
+      const params = new URLSearchParams({ query: config.fields.query || "status:open", limit: "100", sort: "createdAt" });
+      return normalizeOpsgenieResult(await request(`${config.api.alerts}?${params}`));
+    }
+  });
+})();
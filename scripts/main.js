@@ -4,16 +4,28 @@
    ----------------------------------------------------------------
    This file implements the entire application logic:
    - DB manager (local JSON simulation)
+   - Schema versioning & migrations
+   - Storage adapters (IndexedDB, localStorage)
    - Status pages loader
+   - Status provider registry (Statuspage, JSON, RSS/Atom, HTML)
    - Widget rendering engine
+   - Refresh scheduler (per-service intervals, backoff)
    - Dashboard controller
    - Admin panel
    - Analytics
-   - Integrations
+   - Integrations (PagerDuty, Azure DevOps, New Relic) & settings editor
+   - Secrets vault (encrypted integration credentials)
    - Notifications & history
+   - Outbound channels (webhook, Slack, Teams)
+   - Incident timeline
+   - CSV / JSON exports
+   - Alert rules engine
+   - Maintenance windows
    - Public link sharing
    - Settings manager
-   - Role system
+   - Retention & storage quota
+   - Auth, sessions & permissions
+   - Audit trail & diffs
    - Environment manager
    - Feature flags
    - Utility functions
@@ -25,14 +37,33 @@
 
 const OPM = {
   env: "staging", // staging | production
-  role: "public", // public | viewer | admin
+  role: "public", // public | viewer | admin, from the logged-in user
+  user: null,     // logged-in entry of db.users (see AUTH & PERMISSIONS)
+  session: null,  // { userId, issued, expires }
   db: null,       // loaded from database/opm-db.json or localStorage
-  statusConfigs: [],
+  configStatusPages: [], // config/status-pages.json as shipped
+  statusConfigs: [],     // config pages merged with admin edits (see STATUS PAGE EDITOR)
   integrationConfigs: [],
   widgets: {}, // rendered widget instances
+  statusStore: {}, // widget id -> last known status (see setStatus)
+  integrationState: {},  // integration id -> { status, result, failures, error, lastChecked }
+  integrationTimers: {},
+  integrationInFlight: new Map(), // integration id -> running poll (see refreshIntegration)
+  vault: null,           // { key, salt, iterations } while unlocked (see SECRET VAULT)
+  secrets: null,         // integration id -> secret fields, decrypted; null while locked
+  pendingSecrets: {},    // cleartext secrets found in an old DB, until a passphrase is set
+  vaultPrompted: false,
   history: [],
   notifications: [],
-  autoRefreshTimer: null,
+  scheduler: {
+    started: false,
+    paused: false,
+    timers: {},      // widget id -> next scheduled run
+    inFlight: new Map(),
+    active: 0,
+    waiting: [],
+    lastRun: null
+  },
   analyticsCache: {},
   featureFlags: {},
   settings: {
@@ -40,10 +71,39 @@ const OPM = {
     compactMode: false,
     refreshInterval: 30,
     popupAlerts: true,
-    alertSound: "beep"
+    alertSound: "beep",
+    feedLookbackHours: 24,
+    alertAfterChecks: 1,
+    analyticsRange: "7d",
+    integrationBaseUrl: "" // e.g. http://localhost:8787/mock for scripts/mock-server.js
   }
 };
 
+// Seeded when a DB has no rules yet; matches the original "major/down => notify"
+const DEFAULT_ALERT_RULES = [
+  {
+    id: "rule-default-outages",
+    name: "Outages",
+    enabled: true,
+    action: "notify",
+    services: [],
+    env: "all",
+    minLevel: "major",
+    hours: null,
+    escalateAfterMinutes: null,
+    channels: ["popup", "sound"]
+  }
+];
+
+const DEFAULT_RETENTION = {
+  maxAgeDays: 30,
+  maxRowsPerService: 500,
+  downsampleAfterHours: 24,
+  maxLogs: 1000,
+  maxNotifications: 200,
+  maxAuditEntries: 5000
+};
+
 /* ----------------------------------------------------------------
    HELPER: ensure DB has all required arrays/objects
 ------------------------------------------------------------------- */
@@ -56,15 +116,50 @@ function ensureDBShape() {
   const db = OPM.db;
 
   if (!Array.isArray(db.statusPages)) db.statusPages = [];
+  if (!Array.isArray(db.statusPageOrder)) db.statusPageOrder = [];
   if (!Array.isArray(db.integrations)) db.integrations = [];
   if (!Array.isArray(db.users)) db.users = [];
+  // Logins are by username (see AUTH & PERMISSIONS); older DBs only have ids
+  // Non-object records are left for quarantineInvalidRecords (see prepareDB)
+  db.users.forEach(u => { if (isRecord(u) && !u.username && u.id) u.username = String(u.id).replace(/^user-/, ""); });
   if (!Array.isArray(db.history)) db.history = [];
   if (!Array.isArray(db.notifications)) db.notifications = [];
   if (!Array.isArray(db.logs)) db.logs = [];
+  if (!Array.isArray(db.audit)) db.audit = [];
+  // Collection records are keyed by id in IndexedDB
+  IDB_COLLECTIONS.forEach(name => db[name].forEach(r => { if (isRecord(r) && !r.id) r.id = uuid(); }));
   if (!db.featureFlags || typeof db.featureFlags !== "object") db.featureFlags = {};
   if (!db.analyticsCache || typeof db.analyticsCache !== "object") db.analyticsCache = {};
   // support custom services feature
   if (!Array.isArray(db.customServices)) db.customServices = [];
+  if (!Array.isArray(db.alertRules)) db.alertRules = DEFAULT_ALERT_RULES.map(r => ({ ...r }));
+  if (!Array.isArray(db.maintenanceWindows)) db.maintenanceWindows = [];
+  if (!Array.isArray(db.notificationChannels)) db.notificationChannels = [];
+  db.retention = { ...DEFAULT_RETENTION, ...(db.retention || {}) };
+  if (!Array.isArray(db.incidents)) db.incidents = [];
+  if (!Array.isArray(db.quarantine)) db.quarantine = [];
+
+  const env = db.environment && typeof db.environment === "object" ? db.environment : {};
+  db.environment = {
+    current: "staging",
+    default: "staging",
+    allowed: ["staging", "production"],
+    lastPromotionTs: null,
+    promotionNotes: "",
+    ...env
+  };
+  if (!db.environment.allowed.includes(db.environment.current)) db.environment.current = db.environment.default;
+
+  const admin = db.admin && typeof db.admin === "object" ? db.admin : {};
+  db.admin = { stagingChanges: [], pendingPromotions: [], requireApprovalForProd: true, ...admin };
+  if (!Array.isArray(db.admin.stagingChanges)) db.admin.stagingChanges = [];
+  if (!Array.isArray(db.admin.pendingPromotions)) db.admin.pendingPromotions = [];
+
+  ["uptime", "incidentTrends", "integrationActivity"].forEach(key => {
+    const value = db.analyticsCache[key];
+    if (!value || typeof value !== "object" || Array.isArray(value)) db.analyticsCache[key] = {};
+  });
+  if (!("lastComputed" in db.analyticsCache)) db.analyticsCache.lastComputed = null;
 
   OPM.db = db;
 }
@@ -77,12 +172,16 @@ document.addEventListener("DOMContentLoaded", async () => {
   try {
     await loadEnvironment();
     await loadDB();
+    restoreSession();
     await loadConfigs();
+    await loadIntegrationAdapters();
+    migratePlaintextSecrets();
     loadLocalSettings();
     applyTheme();
     applyCompactMode();
     applyRoleUI();
     applyEnvironmentBadge();
+    runRetention();
 
     bindGlobalUIEvents();
     bindTabEvents();
@@ -90,21 +189,38 @@ document.addEventListener("DOMContentLoaded", async () => {
     bindCustomServiceEvents();
     bindSettingsEvents();
     bindProfileEvents();
+    bindUserAdminEvents();
     bindAdminEvents();
+    bindAlertRuleEvents();
+    bindOutboundChannelEvents();
+    bindMaintenanceEvents();
+    bindAnalyticsEvents();
+    bindIntegrationEvents();
+    bindIntegrationEditorEvents();
+    bindVaultEvents();
     bindNotificationEvents();
     bindHistoryEvents();
+    bindExportEvents();
     bindPublicShareEvents();
 
     renderCustomServiceList();
     renderStatusTableAdmin();
     renderIntegrationsTableAdmin();
     renderFeatureFlags();
+    renderAlertRulesAdmin();
+    renderOutboundChannelsAdmin();
+    renderMaintenanceAdmin();
+    renderUsersAdmin();
+    renderAuditTrail();
 
     renderAllWidgets();
     updateOverviewCounts();
     buildAnalyticsCharts();
 
     startAutoRefresh();
+    startIntegrationPolling();
+    setInterval(runRetention, RETENTION_INTERVAL_MS);
+    setInterval(checkSessionExpiry, SESSION_CHECK_INTERVAL_MS);
 
     logEvent("system", "Dashboard initialized");
   } catch (err) {
@@ -122,41 +238,84 @@ async function loadEnvironment() {
 }
 
 async function loadDB() {
-  // Load from localStorage or fallback to the JSON file
-  const local = localStorage.getItem("opm-db");
-  if (local) {
+  // Load from the browser store (IndexedDB or localStorage) or fallback to the JSON file
+  OPM.storage = await createStorageAdapter();
+  let report = null;
+  let stored = null;
+  try {
+    stored = await OPM.storage.load();
+    if (stored) report = prepareDB(stored);
+  } catch (e) {
+    // The fallback below is saved over the stored DB, so keep a copy first
+    const backedUp = stored ? backupCorruptDB(JSON.stringify(stored)) : !!e.backedUp;
+    console.warn(
+      backedUp
+        ? `Stored opm-db unreadable, backed up to ${CORRUPT_BACKUP_KEY}:`
+        : "Stored opm-db unreadable and could not be backed up:",
+      e
+    );
+  }
+
+  if (!report) {
     try {
-      OPM.db = JSON.parse(local);
-      ensureDBShape();
-      return;
-    } catch (e) {
-      console.warn("Local opm-db corrupt, ignoring:", e);
+      // NOTE: path is relative to index.html root on GitHub Pages
+      const res = await fetch("database/opm-db.json");
+      if (!res.ok) throw new Error("DB file not found");
+      report = prepareDB(parseSeedDB(await res.text()));
+    } catch (err) {
+      console.error("Failed to load DB, using in-memory defaults:", err);
+      report = prepareDB(createEmptyDB());
     }
   }
+  await applyProvisionedPasswords();
+  saveDB();
+
+  if (report.applied.length) {
+    logEvent("system", `DB migrated to schema ${DB_SCHEMA_VERSION} (${report.applied.join(", ")})`);
+  }
+  if (report.quarantined) {
+    logEvent("system", `Quarantined ${report.quarantined} invalid DB record(s)`);
+  }
+}
+
+// The shipped DB documents its record shapes in /* */ comments
+function parseSeedDB(text) {
+  return JSON.parse(text.replace(/\/\*[\s\S]*?\*\//g, ""));
+}
 
+// Hashes provisioned in database/opm-db.json also reach browsers that
+// stored their DB before the hash was added
+async function applyProvisionedPasswords() {
+  const missing = OPM.db.users.filter(u => u.role !== "public" && !u.passwordHash);
+  if (!missing.length) return;
   try {
-    // NOTE: path is relative to index.html root on GitHub Pages
     const res = await fetch("database/opm-db.json");
-    if (!res.ok) throw new Error("DB file not found");
-    OPM.db = await res.json();
-    ensureDBShape();
+    if (!res.ok) return;
+    const seed = parseSeedDB(await res.text());
+    missing.forEach(user => {
+      const provisioned = (seed.users || []).find(u => u?.id === user.id && u.passwordHash);
+      if (provisioned) user.passwordHash = provisioned.passwordHash;
+    });
   } catch (err) {
-    console.error("Failed to load DB, using in-memory defaults:", err);
-    // minimal safe fallback so app still runs
-    OPM.db = {
-      statusPages: [],
-      integrations: [],
-      users: [],
-      history: [],
-      notifications: [],
-      logs: [],
-      featureFlags: {},
-      analyticsCache: {},
-      customServices: []
-    };
-    ensureDBShape();
+    console.warn("Could not read provisioned passwords:", err);
   }
-  saveDB();
+}
+
+// minimal safe fallback so app still runs
+function createEmptyDB() {
+  return {
+    version: DB_SCHEMA_VERSION,
+    statusPages: [],
+    integrations: [],
+    users: [],
+    history: [],
+    notifications: [],
+    logs: [],
+    audit: [],
+    featureFlags: {},
+    analyticsCache: {},
+    customServices: []
+  };
 }
 
 async function loadConfigs() {
@@ -171,13 +330,15 @@ async function loadConfigs() {
     const integJson  = await integRes.json();
 
     // Support both array and {statusPages:[…]} style configs
-    OPM.statusConfigs      = Array.isArray(statusJson) ? statusJson : (statusJson.statusPages || []);
+    OPM.configStatusPages  = Array.isArray(statusJson) ? statusJson : (statusJson.statusPages || []);
     OPM.integrationConfigs = Array.isArray(integJson)  ? integJson  : (integJson.integrations || []);
   } catch (err) {
     console.error("Failed to load configs:", err);
-    OPM.statusConfigs = [];
+    OPM.configStatusPages = [];
     OPM.integrationConfigs = [];
   }
+  // Admin edits saved in the DB are layered over the config file
+  applyStatusPageOverrides();
 }
 
 /* ----------------------------------------------------------------
@@ -185,10 +346,546 @@ async function loadConfigs() {
 ------------------------------------------------------------------- */
 
 function saveDB() {
+  const storage = OPM.storage || (OPM.storage = createLocalStorageAdapter());
   try {
-    localStorage.setItem("opm-db", JSON.stringify(OPM.db));
+    // localStorage writes synchronously; IndexedDB returns a promise
+    const pending = storage.save(withPendingSecrets(OPM.db));
+    if (pending?.catch) pending.catch(handleSaveError);
   } catch (e) {
-    console.warn("Failed to save DB to localStorage:", e);
+    handleSaveError(e);
+  }
+  renderStorageUsage();
+}
+
+async function handleSaveError(e) {
+  if (!isQuotaError(e)) {
+    console.warn(`Failed to save DB to ${OPM.storage.name}:`, e);
+    return;
+  }
+
+  // Out of space: prune with halved limits and try once more
+  const policy = OPM.db.retention;
+  applyRetention(OPM.db, {
+    ...policy,
+    maxAgeDays: Math.max(1, Math.floor(policy.maxAgeDays / 2)),
+    maxRowsPerService: Math.max(50, Math.floor(policy.maxRowsPerService / 2)),
+    downsampleAfterHours: 1,
+    // slice(-0) would keep everything, so never go below one record
+    maxLogs: Math.max(1, Math.floor(policy.maxLogs / 2)),
+    maxNotifications: Math.max(1, Math.floor(policy.maxNotifications / 2)),
+    maxAuditEntries: Math.max(1, Math.floor(policy.maxAuditEntries / 2))
+  });
+  try {
+    await OPM.storage.save(withPendingSecrets(OPM.db));
+    showPopupAlert("Local storage was full; older history was pruned.");
+  } catch (retryErr) {
+    console.warn(`Failed to save DB to ${OPM.storage.name}:`, retryErr);
+    showPopupAlert("Local storage is full. History is no longer being saved.");
+  }
+}
+
+function isQuotaError(e) {
+  return e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22;
+}
+
+/* ----------------------------------------------------------------
+   SCHEMA VERSION & MIGRATIONS
+   loadDB runs every stored DB through prepareDB():
+     1. migrateDB      - ordered, idempotent upgrades up to DB_SCHEMA_VERSION
+     2. ensureDBShape  - backfill anything still missing
+     3. quarantine     - move records that fail DB_RECORD_SCHEMAS aside
+------------------------------------------------------------------- */
+
+const DB_SCHEMA_VERSION = "2.4";
+const MAX_QUARANTINE = 200;
+
+// Each step upgrades a DB to `version`; steps only run for older DBs
+const DB_MIGRATIONS = [
+  {
+    version: "2.0",
+    description: "Environment becomes an object",
+    migrate(db) {
+      if (typeof db.environment === "string") {
+        db.environment = { current: db.environment, default: db.environment };
+      }
+    }
+  },
+  {
+    version: "2.1",
+    description: "Structured analytics cache and admin staging area",
+    migrate(db) {
+      const cache = db.analyticsCache;
+      if (cache && typeof cache === "object" && !("uptime" in cache)) {
+        // 2.0 kept uptime percentages at the top level, keyed by service id
+        const uptime = {};
+        Object.entries(cache).forEach(([key, value]) => {
+          if (typeof value === "number") uptime[key] = value;
+        });
+        db.analyticsCache = { uptime, incidentTrends: {}, integrationActivity: {}, lastComputed: null };
+      }
+      if (Array.isArray(db.stagingChanges)) {
+        db.admin = { ...(db.admin || {}), stagingChanges: db.stagingChanges };
+        delete db.stagingChanges;
+      }
+    }
+  },
+  {
+    version: "2.2",
+    description: "History runs, incidents and retention policy",
+    migrate(db) {
+      if (!Array.isArray(db.history)) db.history = [];
+      if (!Array.isArray(db.incidents)) {
+        // Fold the raw poll rows into runs and incidents
+        db.history = compactHistory(db.history);
+        db.incidents = buildIncidentsFromHistory(db.history);
+      }
+      if (!db.retention) db.retention = { ...DEFAULT_RETENTION };
+    }
+  },
+  {
+    version: "2.3",
+    description: "Analytics cache keyed by range",
+    migrate(db) {
+      // Cached figures are derived data; drop anything not keyed by a known range
+      const cache = db.analyticsCache;
+      if (!cache || typeof cache !== "object") return;
+      ["uptime", "incidentTrends"].forEach(key => {
+        const byRange = cache[key] && typeof cache[key] === "object" ? cache[key] : {};
+        cache[key] = Object.fromEntries(Object.entries(byRange).filter(([range]) => range in ANALYTICS_RANGES));
+      });
+    }
+  },
+  {
+    version: "2.4",
+    description: "Channel webhook URLs live in the secrets vault",
+    migrate(db) {
+      // 2.3 required a url, so channels saved without one were quarantined
+      if (!Array.isArray(db.quarantine)) return;
+      const restored = db.quarantine.filter(q => q.collection === "notificationChannels" && q.reason === "missing url" && isRecord(q.record));
+      if (!restored.length) return;
+      db.notificationChannels = [...(Array.isArray(db.notificationChannels) ? db.notificationChannels : []), ...restored.map(q => q.record)];
+      db.quarantine = db.quarantine.filter(q => !restored.includes(q));
+    }
+  }
+];
+
+// field -> expected typeof; a trailing "?" marks the field optional
+const DB_RECORD_SCHEMAS = {
+  statusPages: { id: "string" },
+  history: { id: "string", widgetId: "string", level: "string", ts: "number", lastTs: "number?", count: "number?" },
+  incidents: { id: "string", widgetId: "string", start: "number", end: "number?" },
+  notifications: { id: "string", title: "string", ts: "number" },
+  logs: { id: "string", ts: "number", type: "string", text: "string" },
+  audit: { id: "string", ts: "number", actor: "string", action: "string" },
+  users: { id: "string", role: "string" },
+  alertRules: { id: "string", name: "string" },
+  maintenanceWindows: { id: "string", widgetId: "string", start: "string", end: "string" },
+  notificationChannels: { id: "string", name: "string", type: "string", url: "string?", urlMasked: "string?" }
+};
+
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+function migrateDB(db) {
+  // DBs saved before versioning existed carry no version at all
+  const from = db.version || "1.0";
+  if (compareVersions(from, DB_SCHEMA_VERSION) > 0) {
+    console.warn(`DB schema ${from} is newer than this app (${DB_SCHEMA_VERSION}); loading as-is`);
+    return [];
+  }
+
+  const applied = [];
+  DB_MIGRATIONS
+    .filter(step => compareVersions(step.version, from) > 0)
+    .forEach(step => {
+      step.migrate(db);
+      db.version = step.version;
+      applied.push(step.version);
+    });
+  db.version = DB_SCHEMA_VERSION;
+  return applied;
+}
+
+function isRecord(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateRecord(record, schema) {
+  if (!isRecord(record)) return "not an object";
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = record[field];
+    if (value == null) {
+      if (!optional) return `missing ${field}`;
+    } else if (typeof value !== type || (type === "number" && !Number.isFinite(value))) {
+      return `${field} should be a ${type}`;
+    }
+  }
+  return null;
+}
+
+function quarantineInvalidRecords(db, now = Date.now()) {
+  let moved = 0;
+  Object.entries(DB_RECORD_SCHEMAS).forEach(([collection, schema]) => {
+    if (!Array.isArray(db[collection])) return;
+    db[collection] = db[collection].filter(record => {
+      const reason = validateRecord(record, schema);
+      if (!reason) return true;
+      db.quarantine.push({ collection, reason, record, ts: now });
+      moved++;
+      return false;
+    });
+  });
+  if (db.quarantine.length > MAX_QUARANTINE) db.quarantine = db.quarantine.slice(-MAX_QUARANTINE);
+  return moved;
+}
+
+function prepareDB(raw) {
+  OPM.db = raw;
+  const applied = migrateDB(OPM.db);
+  ensureDBShape();
+  const quarantined = quarantineInvalidRecords(OPM.db);
+  return { applied, quarantined };
+}
+
+/* ----------------------------------------------------------------
+   STORAGE ADAPTERS
+   Every backend implements:
+     name, load() -> db | null, save(db), clear(),
+     query(collection, { widgetId, from, to }) -> records, usage() -> { bytes, quota, ratio }
+   query() reads by service and time through the IndexedDB indexes
+   (see queryHistoryRows); everything else works on OPM.db.
+   IndexedDB is preferred; localStorage is the fallback when it is
+   unavailable (old browsers, some private modes, tests).
+------------------------------------------------------------------- */
+
+const IDB_NAME = "opm";
+const IDB_VERSION = 4;
+// Collections that get their own object store instead of living in the core document
+const IDB_COLLECTIONS = ["history", "logs", "notifications", "audit"];
+const IDB_SAVE_DEBOUNCE_MS = 250;
+const IDB_INDEXES = { ts: "ts", widgetId: "widgetId", widgetId_ts: ["widgetId", "ts"] };
+
+async function createStorageAdapter() {
+  if (typeof indexedDB === "undefined") return createLocalStorageAdapter();
+  try {
+    return await createIndexedDBAdapter();
+  } catch (err) {
+    console.warn("IndexedDB unavailable, using localStorage:", err);
+    return createLocalStorageAdapter();
+  }
+}
+
+function createLocalStorageAdapter() {
+  return {
+    name: "localStorage",
+
+    async load() {
+      return parseStoredDB(localStorage.getItem("opm-db"));
+    },
+
+    save(db) {
+      localStorage.setItem("opm-db", JSON.stringify(db));
+    },
+
+    async clear() {
+      localStorage.removeItem("opm-db");
+    },
+
+    async query(collection, filter = {}) {
+      return filterRecords(OPM.db?.[collection] || [], filter);
+    },
+
+    async usage() {
+      return getStorageUsage();
+    }
+  };
+}
+
+const CORRUPT_BACKUP_KEY = "opm-db-corrupt-backup";
+
+// A stored DB that cannot be loaded is kept under a backup key rather than silently overwritten
+function backupCorruptDB(raw) {
+  try {
+    localStorage.setItem(CORRUPT_BACKUP_KEY, raw);
+    return true;
+  } catch (_) {
+    return false; // no room for the backup either
+  }
+}
+
+function parseStoredDB(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    err.backedUp = backupCorruptDB(raw);
+    if (err.backedUp) localStorage.removeItem("opm-db");
+    throw err;
+  }
+}
+
+function filterRecords(records, { widgetId, from = -Infinity, to = Infinity } = {}) {
+  return records.filter(r => (!widgetId || r.widgetId === widgetId) && r.ts >= from && r.ts <= to);
+}
+
+// Index and key bounds for an IndexedDB query()
+function idbQueryBounds({ widgetId, from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+  return widgetId
+    ? { index: "widgetId_ts", lower: [widgetId, from], upper: [widgetId, to] }
+    : { index: "ts", lower: from, upper: to };
+}
+
+// Split the DB into the small "core" document and the per-record collections
+function splitDBForStorage(db) {
+  const core = { ...db };
+  const collections = {};
+  IDB_COLLECTIONS.forEach(name => {
+    collections[name] = db[name] || [];
+    delete core[name];
+  });
+  return { core, collections };
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function createIndexedDBAdapter() {
+  const open = indexedDB.open(IDB_NAME, IDB_VERSION);
+  open.onupgradeneeded = () => {
+    const idb = open.result;
+    // Version 2 added "audit"; version 3 dropped the per-service indexes
+    // and version 4 brings them back. Missing stores and indexes are
+    // created whichever version is being upgraded.
+    if (!idb.objectStoreNames.contains("meta")) idb.createObjectStore("meta", { keyPath: "key" });
+    IDB_COLLECTIONS.forEach(name => {
+      const store = idb.objectStoreNames.contains(name)
+        ? open.transaction.objectStore(name)
+        : idb.createObjectStore(name, { keyPath: "id" });
+      Object.entries(IDB_INDEXES)
+        .filter(([index]) => !store.indexNames.contains(index))
+        .forEach(([index, keyPath]) => store.createIndex(index, keyPath));
+    });
+  };
+  const idb = await idbRequest(open);
+
+  // id -> serialized record as last written, so saves only touch changed rows
+  const persisted = Object.fromEntries(IDB_COLLECTIONS.map(name => [name, new Map()]));
+  let timer = null;
+  let waiters = [];
+  let lastSave = null;
+  let migratedFromLocal = false;
+
+  async function flush(db) {
+    const { core, collections } = splitDBForStorage(db);
+    const tx = idb.transaction(["meta", ...IDB_COLLECTIONS], "readwrite");
+    tx.objectStore("meta").put({ key: "db", value: core });
+
+    IDB_COLLECTIONS.forEach(name => {
+      const store = tx.objectStore(name);
+      const known = persisted[name];
+      const seen = new Set();
+
+      collections[name].forEach(record => {
+        const json = JSON.stringify(record);
+        seen.add(record.id);
+        if (known.get(record.id) !== json) {
+          store.put(record);
+          known.set(record.id, json);
+        }
+      });
+      [...known.keys()].filter(id => !seen.has(id)).forEach(id => {
+        store.delete(id);
+        known.delete(id);
+      });
+    });
+
+    await idbTransactionDone(tx);
+
+    if (migratedFromLocal) {
+      localStorage.removeItem("opm-db");
+      migratedFromLocal = false;
+    }
+  }
+
+  return {
+    name: "IndexedDB",
+
+    async load() {
+      const tx = idb.transaction(["meta", ...IDB_COLLECTIONS], "readonly");
+      const meta = await idbRequest(tx.objectStore("meta").get("db"));
+
+      if (!meta) {
+        // First load on this backend: pick up whatever localStorage had
+        const db = parseStoredDB(localStorage.getItem("opm-db"));
+        migratedFromLocal = !!db;
+        return db;
+      }
+
+      const db = { ...meta.value };
+      for (const name of IDB_COLLECTIONS) {
+        const records = await idbRequest(tx.objectStore(name).index("ts").getAll());
+        records.forEach(r => persisted[name].set(r.id, JSON.stringify(r)));
+        db[name] = records;
+      }
+      return db;
+    },
+
+    // Bursts of saveDB() calls within the debounce window share one transaction
+    save(db) {
+      clearTimeout(timer);
+      return (lastSave = new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        timer = setTimeout(() => {
+          const batch = waiters;
+          waiters = [];
+          flush(db).then(
+            () => batch.forEach(w => w.resolve()),
+            err => batch.forEach(w => w.reject(err))
+          );
+        }, IDB_SAVE_DEBOUNCE_MS);
+      }));
+    },
+
+    async clear() {
+      idb.close();
+      await idbRequest(indexedDB.deleteDatabase(IDB_NAME));
+    },
+
+    async query(collection, filter = {}) {
+      // Reads come from disk, so a debounced save still waiting has to land first
+      await lastSave?.catch(() => {});
+      const { index, lower, upper } = idbQueryBounds(filter);
+      const store = idb.transaction(collection, "readonly").objectStore(collection);
+      return idbRequest(store.index(index).getAll(IDBKeyRange.bound(lower, upper)));
+    },
+
+    async usage() {
+      if (!navigator.storage?.estimate) return getStorageUsage();
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { bytes: usage, quota, ratio: quota ? usage / quota : 0 };
+    }
+  };
+}
+
+/* ----------------------------------------------------------------
+   RETENTION & STORAGE QUOTA
+   Old ok runs are merged into hourly aggregates, then rows are trimmed
+   by age and per-service count. Logs and notifications are capped.
+   The audit trail ignores the age limit and only keeps its newest
+   maxAuditEntries.
+------------------------------------------------------------------- */
+
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+// Browsers give localStorage roughly 5 MB per origin
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+const STORAGE_WARNING_RATIO = 0.8;
+
+function applyRetention(db, policy = db.retention, now = Date.now()) {
+  const hour = 3600 * 1000;
+  const cutoff = now - policy.maxAgeDays * 24 * hour;
+  const downsampleBefore = now - policy.downsampleAfterHours * hour;
+  const count = () => db.history.length + db.logs.length + db.notifications.length + (db.audit?.length || 0);
+  const before = count();
+
+  // 1. Hourly aggregates for old ok rows
+  const buckets = {};
+  const history = [];
+  db.history.forEach(row => {
+    const end = row.lastTs || row.ts;
+    if (mapStatusToColor(row.level) !== "ok" || end >= downsampleBefore) {
+      history.push(row);
+      return;
+    }
+
+    const key = `${row.widgetId}:${Math.floor(row.ts / hour)}`;
+    const bucket = buckets[key];
+    if (!bucket) {
+      buckets[key] = { ...row, lastTs: end, count: row.count || 1 };
+      history.push(buckets[key]);
+      return;
+    }
+    bucket.lastTs = Math.max(bucket.lastTs, end);
+    bucket.count += row.count || 1;
+    bucket.message = row.message;
+    bucket.aggregate = true;
+  });
+
+  // 2. Age limit, then keep only the newest rows per service
+  const perService = {};
+  db.history = history
+    .filter(row => (row.lastTs || row.ts) >= cutoff)
+    .reverse()
+    .filter(row => (perService[row.widgetId] = (perService[row.widgetId] || 0) + 1) <= policy.maxRowsPerService)
+    .reverse();
+
+  db.incidents = db.incidents.filter(i => i.end === null || i.end >= cutoff);
+  db.maintenanceWindows = db.maintenanceWindows.filter(w => w.recurring !== "none" || Date.parse(w.end) >= cutoff);
+  db.logs = db.logs.filter(l => l.ts >= cutoff).slice(-policy.maxLogs);
+  db.notifications = db.notifications.filter(n => n.ts >= cutoff).slice(-policy.maxNotifications);
+  if (db.audit) db.audit = db.audit.slice(-policy.maxAuditEntries);
+
+  return { removed: before - count() };
+}
+
+function runRetention() {
+  ensureDBShape();
+  const { removed } = applyRetention(OPM.db);
+  if (removed > 0) saveDB();
+}
+
+function getStorageUsage() {
+  let bytes = 0;
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    // localStorage stores UTF-16, two bytes per code unit
+    bytes += (key.length + (localStorage.getItem(key) || "").length) * 2;
+  }
+  return { bytes, quota: LOCAL_STORAGE_QUOTA_BYTES, ratio: bytes / LOCAL_STORAGE_QUOTA_BYTES };
+}
+
+async function renderStorageUsage() {
+  const label = document.getElementById("storageUsageLabel");
+  const meter = document.getElementById("storageUsageMeter");
+  if (!label && !meter) return;
+
+  const usage = OPM.storage ? await OPM.storage.usage() : getStorageUsage();
+  const pct = Math.min(100, Math.round(usage.ratio * 100));
+  const nearFull = usage.ratio >= STORAGE_WARNING_RATIO;
+
+  if (meter) meter.value = usage.ratio;
+  if (label) {
+    label.textContent = `${OPM.storage?.name || "localStorage"}: ${formatBytes(usage.bytes)} of ~${formatBytes(usage.quota)} used (${pct}%)` +
+      (nearFull ? " — nearly full, lower the retention limits or compact now" : "");
+    label.classList.toggle("text-warning", nearFull);
+  }
+
+  const schemaLabel = document.getElementById("dbSchemaLabel");
+  if (schemaLabel && OPM.db) {
+    const quarantined = OPM.db.quarantine?.length || 0;
+    schemaLabel.textContent = `Schema v${OPM.db.version || "?"}` +
+      (quarantined ? ` · ${quarantined} invalid record(s) quarantined` : "");
+    schemaLabel.classList.toggle("text-warning", quarantined > 0);
   }
 }
 
@@ -232,18 +929,38 @@ function applyCompactMode() {
   }
 }
 
+// Elements marked data-permission="<permission>" are hidden without it
+const ADMIN_VIEW_PERMISSIONS = ["manageServices", "manageIntegrations", "manageUsers", "viewLogs"];
+
 function applyRoleUI() {
-  const viewAdmin = document.getElementById("viewAdmin");
-  const tabAdmin  = document.getElementById("tabAdmin");
-  const roleLabel = document.querySelector("#roleLabel");
+  const viewAdmin   = document.getElementById("viewAdmin");
+  const tabAdmin    = document.getElementById("tabAdmin");
+  const roleLabel   = document.querySelector("#roleLabel");
+  const profileName = document.getElementById("profileName");
+  const profileRole = document.getElementById("profileRole");
+  const loginForm   = document.getElementById("loginForm");
+  const controls    = document.getElementById("sessionControls");
+  const sessionInfo = document.getElementById("sessionInfo");
+  const adminAllowed = ADMIN_VIEW_PERMISSIONS.some(can);
+
+  document.querySelectorAll("[data-permission]").forEach(el => {
+    el.hidden = !can(el.dataset.permission);
+  });
 
-  if (viewAdmin) viewAdmin.hidden = OPM.role !== "admin";
-  if (tabAdmin)  tabAdmin.style.display = OPM.role === "admin" ? "" : "none";
-  if (roleLabel) {
-    roleLabel.textContent =
-      OPM.role === "admin" ? "Admin" :
-      OPM.role === "viewer" ? "Viewer" : "Public";
+  if (tabAdmin) tabAdmin.style.display = adminAllowed ? "" : "none";
+  if (viewAdmin && !adminAllowed && viewAdmin.classList.contains("view--active")) {
+    document.getElementById("tabDashboard")?.click();
   }
+  if (roleLabel) roleLabel.textContent = ROLE_LABELS[OPM.role] || ROLE_LABELS.public;
+  if (profileName) profileName.textContent = OPM.user ? `${OPM.user.name || OPM.user.username} (${OPM.user.username})` : "Guest user";
+  if (profileRole) profileRole.textContent = ROLE_LABELS[OPM.role] || ROLE_LABELS.public;
+  if (loginForm) loginForm.hidden = !!OPM.user;
+  if (controls) controls.hidden = !OPM.user;
+  if (sessionInfo && OPM.session) sessionInfo.textContent = `Session expires ${formatTs(OPM.session.expires)}`;
+
+  renderLogs();
+  renderAuditTrail();
+  renderUsersAdmin();
 }
 
 function applyEnvironmentBadge() {
@@ -258,6 +975,7 @@ function applyEnvironmentBadge() {
 function bindGlobalUIEvents() {
   const themeToggleBtn = document.getElementById("themeToggleBtn");
   const refreshAllBtn  = document.getElementById("refreshAllBtn");
+  const pauseBtn       = document.getElementById("pauseAutoRefreshBtn");
 
   if (themeToggleBtn) {
     themeToggleBtn.addEventListener("click", () => {
@@ -270,6 +988,15 @@ function bindGlobalUIEvents() {
   if (refreshAllBtn) {
     refreshAllBtn.addEventListener("click", refreshAllWidgets);
   }
+
+  if (pauseBtn) {
+    pauseBtn.addEventListener("click", () => {
+      OPM.scheduler.paused = !OPM.scheduler.paused;
+      if (OPM.scheduler.paused) stopAutoRefresh();
+      else startAutoRefresh();
+      updateRefreshStatusLabel();
+    });
+  }
 }
 
 function bindTabEvents() {
@@ -279,11 +1006,19 @@ function bindTabEvents() {
       document.querySelector(".tab.active")?.classList.remove("active");
       tab.classList.add("active");
 
-      document.querySelector(".view--active")?.classList.remove("view--active");
+      const current = document.querySelector(".view--active");
+      if (current) {
+        current.classList.remove("view--active");
+        current.hidden = true;
+      }
 
       const viewId = "view" + tab.dataset.view.charAt(0).toUpperCase() + tab.dataset.view.slice(1);
       const view = document.getElementById(viewId);
-      if (view) view.classList.add("view--active");
+      if (view) {
+        view.classList.add("view--active");
+        view.hidden = false;
+      }
+      if (tab.dataset.view === "analytics") buildAnalyticsCharts();
     });
   });
 }
@@ -298,16 +1033,53 @@ function bindSidebarEvents() {
 
 /* ----------------------------------------------------------------
    CUSTOM SERVICES (NEW: events + renderer)
+   Stored in OPM.db.customServices as
+   { id, name, url, category, provider, pollInterval, created } and
+   merged with config/status-pages.json by getServiceConfigs(), so they
+   share polling, provider detection, history, alerts and analytics.
 ------------------------------------------------------------------- */
 
+function customServiceToConfig(svc) {
+  return {
+    id: svc.id,
+    name: svc.name,
+    category: svc.category || "Custom",
+    api: svc.url,
+    page: svc.url,
+    env: "all",
+    provider: svc.provider || undefined, // empty = auto-detect
+    pollInterval: svc.pollInterval || undefined,
+    enabled: svc.enabled !== false,
+    custom: true
+  };
+}
+
+// Every monitored service: configured status pages, custom services and
+// services reported by integrations (e.g. a main build pipeline)
+function getServiceConfigs() {
+  return [
+    ...OPM.statusConfigs,
+    ...(OPM.db?.customServices || []).map(customServiceToConfig),
+    ...getIntegrationServiceConfigs()
+  ];
+}
+
 function bindCustomServiceEvents() {
-  const nameInput = document.getElementById("customServiceName");
-  const urlInput  = document.getElementById("customServiceUrl");
-  const addBtn    = document.getElementById("addCustomServiceBtn");
+  const nameInput     = document.getElementById("customServiceName");
+  const urlInput      = document.getElementById("customServiceUrl");
+  const categoryInput = document.getElementById("customServiceCategory");
+  const providerSel   = document.getElementById("customServiceProvider");
+  const intervalSel   = document.getElementById("customServiceInterval");
+  const addBtn        = document.getElementById("addCustomServiceBtn");
 
   if (!addBtn || !nameInput || !urlInput) return;
 
+  if (providerSel) {
+    [...STATUS_PROVIDERS.keys()].forEach(name => providerSel.add(new Option(name, name)));
+  }
+
   addBtn.addEventListener("click", () => {
+    if (!requirePermission("manageServices", "adding services")) return;
     const name = nameInput.value.trim();
     const url  = urlInput.value.trim();
 
@@ -315,23 +1087,52 @@ function bindCustomServiceEvents() {
       alert("Please enter both a name and status URL.");
       return;
     }
+    if (!/^https?:$/.test(safeUrlProtocol(url))) {
+      alert("The status URL must be an http(s) address.");
+      return;
+    }
 
     ensureDBShape();
-    OPM.db.customServices.push({
-      id: uuid(),
+    const svc = {
+      id: `custom-${uuid()}`,
       name,
       url,
+      category: categoryInput?.value.trim() || "",
+      provider: providerSel?.value || "",
+      pollInterval: Number(intervalSel?.value) || null,
       created: Date.now()
-    });
+    };
+    OPM.db.customServices.push(svc);
     saveDB();
+    recordAudit("create", { type: "customService", id: svc.id, name }, null, svc);
     nameInput.value = "";
     urlInput.value = "";
-    renderCustomServiceList();
+    if (categoryInput) categoryInput.value = "";
+    if (providerSel) providerSel.value = "";
+    if (intervalSel) intervalSel.value = "";
+    refreshServiceViews();
   });
 }
 
+// Re-render everything that lists services after the service set changes
+function refreshServiceViews() {
+  renderCustomServiceList();
+  renderAllWidgets();
+  renderAlertRulesAdmin();
+  renderMaintenanceAdmin();
+  updateOverviewCounts();
+}
+
+function safeUrlProtocol(url) {
+  try {
+    return new URL(url).protocol;
+  } catch (_) {
+    return "";
+  }
+}
+
 function renderCustomServiceList() {
-  const container = document.getElementById("customServicesList");
+  const container = document.getElementById("customServiceList");
   if (!container) return;
 
   ensureDBShape();
@@ -347,18 +1148,26 @@ function renderCustomServiceList() {
     return;
   }
 
-  services.forEach((svc, index) => {
+  services.forEach(svc => {
     const row = document.createElement("div");
     row.className = "custom-service-item";
+    const meta = [svc.category, svc.provider || "auto", svc.pollInterval ? `every ${svc.pollInterval}s` : ""]
+      .filter(Boolean)
+      .join(" · ");
     row.innerHTML = `
-      <span class="svc-name">${svc.name}</span>
-      <span class="svc-url">${svc.url}</span>
-      <button class="btn btn-ghost btn-compact" data-index="${index}">Remove</button>
+      <span class="svc-name">${escapeHtml(svc.name)}</span>
+      <span class="svc-url">${escapeHtml(svc.url)}</span>
+      <span class="svc-meta muted small">${escapeHtml(meta)}</span>
+      <button class="btn btn-ghost btn-compact" type="button" data-permission="manageServices" ${can("manageServices") ? "" : "hidden"}>Remove</button>
     `;
     row.querySelector("button").addEventListener("click", () => {
-      OPM.db.customServices.splice(index, 1);
+      if (!requirePermission("manageServices", "removing services")) return;
+      // History and incidents are kept so past reports stay complete
+      OPM.db.customServices = OPM.db.customServices.filter(s => s.id !== svc.id);
+      delete OPM.statusStore[svc.id];
       saveDB();
-      renderCustomServiceList();
+      recordAudit("delete", { type: "customService", id: svc.id, name: svc.name }, svc, null);
+      refreshServiceViews();
     });
     container.appendChild(row);
   });
@@ -372,8 +1181,13 @@ function bindSettingsEvents() {
   const themeSelect  = document.getElementById("settingsThemeSelect");
   const compactCheck = document.getElementById("settingsCompactMode");
   const intervalSel  = document.getElementById("settingsRefreshInterval");
+  const lookbackSel  = document.getElementById("settingsFeedLookback");
+  const alertAfterSel = document.getElementById("settingsAlertAfterChecks");
+  const integrationBaseInput = document.getElementById("settingsIntegrationBaseUrl");
   const testSoundBtn = document.getElementById("testAlertSoundBtn");
   const resetBtn     = document.getElementById("resetLocalDataBtn");
+  const retentionForm = document.getElementById("retentionForm");
+  const compactBtn   = document.getElementById("compactNowBtn");
 
   if (themeSelect) {
     themeSelect.value = OPM.settings.theme;
@@ -402,132 +1216,573 @@ function bindSettingsEvents() {
     });
   }
 
-  if (testSoundBtn) {
-    testSoundBtn.addEventListener("click", () => {
-      playAlertSound(OPM.settings.alertSound);
+  if (lookbackSel) {
+    lookbackSel.value = String(OPM.settings.feedLookbackHours);
+    lookbackSel.addEventListener("change", e => {
+      OPM.settings.feedLookbackHours = Number(e.target.value);
+      saveLocalSettings();
+      refreshAllWidgets();
     });
   }
 
-  if (resetBtn) {
-    resetBtn.addEventListener("click", () => {
-      localStorage.clear();
-      alert("Local data reset. Reloading page.");
-      location.reload();
+  if (integrationBaseInput) {
+    integrationBaseInput.value = OPM.settings.integrationBaseUrl;
+    integrationBaseInput.addEventListener("change", e => {
+      if (!requirePermission("manageIntegrations", "changing the integration base URL")) {
+        e.target.value = OPM.settings.integrationBaseUrl;
+        return;
+      }
+      const before = { integrationBaseUrl: OPM.settings.integrationBaseUrl };
+      OPM.settings.integrationBaseUrl = e.target.value.trim();
+      saveLocalSettings();
+      recordAudit("update", { type: "settings", id: "integrationBaseUrl", name: "Integration API base URL" }, before, { integrationBaseUrl: OPM.settings.integrationBaseUrl });
+      startIntegrationPolling();
     });
   }
-}
-
-/* ----------------------------------------------------------------
-   PROFILE / ROLE EVENTS
-------------------------------------------------------------------- */
-
-function bindProfileEvents() {
-  const adminBtn  = document.getElementById("loginAsAdminBtn");
-  const viewerBtn = document.getElementById("loginAsViewerBtn");
-  const logoutBtn = document.getElementById("logoutBtn");
 
-  if (adminBtn) {
-    adminBtn.addEventListener("click", () => {
-      OPM.role = "admin";
-      applyRoleUI();
-      logEvent("auth", "Logged in as admin");
+  if (alertAfterSel) {
+    alertAfterSel.value = String(OPM.settings.alertAfterChecks);
+    alertAfterSel.addEventListener("change", e => {
+      if (!requirePermission("manageServices", "changing alert-after checks")) {
+        e.target.value = String(OPM.settings.alertAfterChecks);
+        return;
+      }
+      const before = { alertAfterChecks: OPM.settings.alertAfterChecks };
+      OPM.settings.alertAfterChecks = Number(e.target.value);
+      saveLocalSettings();
+      recordAudit("update", { type: "settings", id: "alertAfterChecks", name: "Alert after checks" }, before, { alertAfterChecks: OPM.settings.alertAfterChecks });
     });
   }
 
-  if (viewerBtn) {
-    viewerBtn.addEventListener("click", () => {
-      OPM.role = "viewer";
-      applyRoleUI();
-      logEvent("auth", "Switched to viewer");
+  if (testSoundBtn) {
+    testSoundBtn.addEventListener("click", () => {
+      playAlertSound(OPM.settings.alertSound);
     });
   }
 
-  if (logoutBtn) {
-    logoutBtn.addEventListener("click", () => {
-      OPM.role = "public";
-      applyRoleUI();
-      logEvent("auth", "Logged out");
+  if (retentionForm) {
+    ensureDBShape();
+    Object.entries(OPM.db.retention).forEach(([key, value]) => {
+      if (retentionForm.elements[key]) retentionForm.elements[key].value = value;
     });
-  }
-}
-
-/* ----------------------------------------------------------------
-   ADMIN EVENTS
-------------------------------------------------------------------- */
-
-function bindAdminEvents() {
-  const addStatusBtn = document.getElementById("adminAddStatusPageBtn");
-  const clearLogsBtn = document.getElementById("clearLogsBtn");
-
-  if (addStatusBtn) {
-    addStatusBtn.addEventListener("click", () => {
-      const name = prompt("Service name:");
-      const url = prompt("API URL:");
-      const page = prompt("Public status page URL:");
-
-      if (name && url) {
-        ensureDBShape();
-        OPM.db.statusPages.push({
-          id: uuid(),
-          name,
-          api: url,
-          page,
-          enabled: true,
-          env: "staging"
-        });
-        saveDB();
-        renderStatusTableAdmin();
-        renderAllWidgets();
+    retentionForm.addEventListener("change", e => {
+      const value = Number(e.target.value);
+      if (!(value > 0)) return;
+      if (!requirePermission("manageServices", "changing retention")) {
+        e.target.value = OPM.db.retention[e.target.name];
+        return;
       }
+      const before = { [e.target.name]: OPM.db.retention[e.target.name] };
+      OPM.db.retention[e.target.name] = value;
+      saveDB();
+      recordAudit("update", { type: "settings", id: "retention", name: "Retention policy" }, before, { [e.target.name]: value });
     });
   }
 
-  if (clearLogsBtn) {
-    clearLogsBtn.addEventListener("click", () => {
-      ensureDBShape();
-      OPM.db.logs = [];
+  if (compactBtn) {
+    compactBtn.addEventListener("click", () => {
+      if (!requirePermission("manageServices", "compacting data")) return;
+      runRetention();
       saveDB();
-      renderLogs();
     });
   }
-}
-
-/* ----------------------------------------------------------------
-   NOTIFICATION EVENTS
-------------------------------------------------------------------- */
-
-function bindNotificationEvents() {
-  const notifBtn = document.getElementById("notifBtn");
-  const closeBtn = document.getElementById("closeNotifPanelBtn");
-  const panel    = document.getElementById("notifPanel");
 
-  if (notifBtn && panel) {
-    notifBtn.addEventListener("click", () => {
-      panel.hidden = false;
-    });
-  }
+  renderStorageUsage();
 
-  if (closeBtn && panel) {
-    closeBtn.addEventListener("click", () => {
-      panel.hidden = true;
+  if (resetBtn) {
+    resetBtn.addEventListener("click", async () => {
+      if (!requirePermission("manageServices", "resetting local data")) return;
+      await OPM.storage?.clear();
+      localStorage.clear();
+      alert("Local data reset. Reloading page.");
+      location.reload();
     });
   }
 }
 
 /* ----------------------------------------------------------------
-   HISTORY EVENTS
+   AUTH & PERMISSIONS
+   Users come from OPM.db.users ({ id, name, username, role,
+   passwordHash }); passwords are PBKDF2-SHA-256 hashes. A login is
+   kept in localStorage ("opm-session") until it expires. Everything
+   runs in the browser, so this keeps honest people on the right side
+   of the UI; it is not a server-side security boundary.
+   Nobody can log in without a hash: the admin's is provisioned in
+   database/opm-db.json with scripts/hash-password.js, other users get
+   theirs from an admin.
 ------------------------------------------------------------------- */
 
-function bindHistoryEvents() {
-  const openBtn1 = document.getElementById("openHistoryBtn");
-  const openBtn2 = document.getElementById("historyQuickBtn");
+const SESSION_STORAGE_KEY = "opm-session";
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+const PASSWORD_ITERATIONS = 600000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// viewServices gates the widgets, history and exports; the public role
+// keeps it so the dashboard works without logging in
+const ROLE_PERMISSIONS = {
+  public: ["viewServices"],
+  viewer: ["viewServices", "viewLogs", "createPublicLinks"],
+  admin: ["viewServices", "manageServices", "manageIntegrations", "manageUsers", "viewLogs", "clearLogs", "createPublicLinks"]
+};
+
+const ROLE_LABELS = { public: "Public (read-only)", viewer: "Viewer", admin: "Admin" };
+
+function can(permission) {
+  checkSessionExpiry();
+  return (ROLE_PERMISSIONS[OPM.role] || []).includes(permission);
+}
+
+// Guard for user actions that change data
+function requirePermission(permission, action) {
+  if (can(permission)) return true;
+  showPopupAlert(`Not allowed: ${action} needs the ${permission} permission.`);
+  logEvent("auth", `Denied ${permission} (${action}) for ${OPM.user?.username || "public"}`);
+  return false;
+}
+
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_ITERATIONS) {
+  // WebCrypto, like the vault, needs https or localhost
+  if (!isVaultSupported()) throw new Error("Logging in needs this page served over https (or localhost).");
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, material, 256);
+  return { algo: "PBKDF2-SHA-256", iterations, salt: bytesToBase64(salt), hash: bytesToBase64(new Uint8Array(bits)) };
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored?.hash) return false;
+  const { hash } = await hashPassword(password, base64ToBytes(stored.salt), stored.iterations);
+  // Compare every character so timing does not reveal the matching prefix
+  let diff = hash.length ^ stored.hash.length;
+  for (let i = 0; i < Math.min(hash.length, stored.hash.length); i++) diff |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+  return diff === 0;
+}
+
+function findUser(username) {
+  const key = String(username || "").trim().toLowerCase();
+  return OPM.db.users.find(u => (u.username || "").toLowerCase() === key) || null;
+}
+
+async function authenticate(username, password) {
+  const user = findUser(username);
+  if (!user || user.role === "public") throw new Error("Unknown user or wrong password.");
+
+  if (!(await verifyPassword(password, user.passwordHash))) throw new Error("Unknown user or wrong password.");
+  return user;
+}
+
+function startSession(user, now = Date.now()) {
+  const session = { userId: user.id, issued: now, expires: now + SESSION_TTL_MS };
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  applySession(user, session);
+}
+
+// The role always comes from the DB user, never from the stored session
+function applySession(user, session) {
+  OPM.user = user;
+  OPM.session = session;
+  OPM.role = user?.role || "public";
+}
+
+function endSession(reason = "Logged out") {
+  const name = OPM.user?.username;
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  applySession(null, null);
+  applyRoleUI();
+  if (name) logEvent("auth", `${reason}: ${name}`);
+}
+
+function restoreSession(now = Date.now()) {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (_) {
+    // Treated as logged out
+  }
+  const user = session && OPM.db.users.find(u => u.id === session.userId && u.role !== "public");
+  if (!user || !(session.expires > now)) {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    applySession(null, null);
+    return null;
+  }
+  applySession(user, session);
+  return user;
+}
+
+function checkSessionExpiry(now = Date.now()) {
+  if (OPM.session && OPM.session.expires <= now) {
+    endSession("Session expired");
+    showPopupAlert("Your session expired. Log in again.");
+  }
+}
+
+function renderUsersAdmin() {
+  const tbody = document.querySelector("#adminUsersTable tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+  if (!can("manageUsers")) return;
+  OPM.db.users.forEach(user => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(user.name || "")}</td>
+      <td>${escapeHtml(user.username || "")}</td>
+      <td>${escapeHtml(ROLE_LABELS[user.role] || user.role)}</td>
+      <td>${user.role === "public" ? "n/a" : user.passwordHash ? "Set" : "Not set"}</td>
+      <td class="cell-actions">
+        ${user.role === "public" ? "" : '<button class="btn btn-ghost btn-compact" data-act="password">Set password</button>'}
+        ${user.id === OPM.user?.id || user.role === "public" ? "" : '<button class="btn btn-ghost btn-compact" data-act="delete">Delete</button>'}
+      </td>
+    `;
+    tr.querySelector("[data-act='password']")?.addEventListener("click", async () => {
+      if (!requirePermission("manageUsers", "changing passwords")) return;
+      const password = prompt(`New password for ${user.username} (at least ${MIN_PASSWORD_LENGTH} characters):`);
+      if (password === null) return;
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        alert(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+        return;
+      }
+      const before = { passwordChanged: user.passwordChanged || null };
+      user.passwordHash = await hashPassword(password);
+      user.passwordChanged = Date.now();
+      saveDB();
+      recordAudit("update", { type: "user", id: user.id, name: user.username }, before, { passwordChanged: user.passwordChanged });
+      renderUsersAdmin();
+    });
+    tr.querySelector("[data-act='delete']")?.addEventListener("click", () => {
+      if (!requirePermission("manageUsers", "deleting users")) return;
+      if (!confirm(`Delete user "${user.username}"?`)) return;
+      OPM.db.users = OPM.db.users.filter(u => u.id !== user.id);
+      saveDB();
+      recordAudit("delete", { type: "user", id: user.id, name: user.username }, user, null);
+      renderUsersAdmin();
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function bindUserAdminEvents() {
+  const form = document.getElementById("userForm");
+  if (!form) return;
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+    if (!requirePermission("manageUsers", "adding users")) return;
+
+    const data = new FormData(form);
+    const username = String(data.get("username") || "").trim();
+    const password = String(data.get("password") || "");
+    const role = data.get("role");
+
+    if (!/^[a-z0-9._-]{2,32}$/i.test(username)) {
+      alert("Usernames are 2-32 letters, digits, dots, dashes or underscores.");
+      return;
+    }
+    if (findUser(username)) {
+      alert(`"${username}" already exists.`);
+      return;
+    }
+    if (!ROLE_PERMISSIONS[role] || role === "public") {
+      alert("Pick the viewer or admin role.");
+      return;
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      alert(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+
+    const user = {
+      id: `user-${uuid()}`,
+      name: String(data.get("name") || "").trim() || username,
+      username,
+      role,
+      created: Date.now(),
+      passwordHash: await hashPassword(password)
+    };
+    OPM.db.users.push(user);
+    saveDB();
+    recordAudit("create", { type: "user", id: user.id, name: username }, null, user);
+    form.reset();
+    renderUsersAdmin();
+  });
+}
+
+/* ----------------------------------------------------------------
+   PROFILE / ROLE EVENTS
+------------------------------------------------------------------- */
+
+function renderLoginErrors(errors) {
+  const box = document.getElementById("loginErrors");
+  if (!box) return;
+  box.hidden = !errors.length;
+  box.innerHTML = errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+}
+
+function bindProfileEvents() {
+  const loginForm = document.getElementById("loginForm");
+  const logoutBtn = document.getElementById("logoutBtn");
+
+  if (loginForm) {
+    loginForm.addEventListener("submit", async e => {
+      e.preventDefault();
+      const username = loginForm.elements.username.value.trim();
+      const password = loginForm.elements.password.value;
+      if (!username || !password) {
+        renderLoginErrors(["Enter a username and password."]);
+        return;
+      }
+
+      try {
+        const user = await authenticate(username, password);
+        startSession(user);
+        loginForm.reset();
+        renderLoginErrors([]);
+        applyRoleUI();
+        logEvent("auth", `Logged in: ${user.username} (${user.role})`);
+      } catch (err) {
+        renderLoginErrors([err.message]);
+        logEvent("auth", `Failed login for ${username}`);
+      }
+    });
+  }
+
+  if (logoutBtn) {
+    logoutBtn.addEventListener("click", () => endSession());
+  }
+}
+
+/* ----------------------------------------------------------------
+   AUDIT TRAIL
+   Every configuration change is stored in OPM.db.audit as
+     { id, ts, actor, role, action, entity: { type, id, name },
+       before, after }
+   before/after are snapshots of the changed record (null when it is
+   created or deleted); the admin view diffs them. Password hashes are
+   left out and secret values redacted, so callers pass records as they
+   are. Clearing the system logs does not touch the trail.
+------------------------------------------------------------------- */
+
+const AUDIT_ENTITY_LABELS = {
+  statusPage: "Status page",
+  customService: "Custom service",
+  alertRule: "Alert rule",
+  maintenanceWindow: "Maintenance window",
+  featureFlag: "Feature flag",
+  integration: "Integration",
+  channel: "Notification channel",
+  user: "User",
+  settings: "Settings",
+  logs: "System logs",
+  vault: "Secrets vault"
+};
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "reorder", "clear"];
+const AUDIT_OMIT_KEYS = ["passwordHash"];
+const MAX_AUDIT_ROWS = 200;
+
+function auditSnapshot(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value, (key, v) => {
+    if (AUDIT_OMIT_KEYS.includes(key)) return undefined;
+    return typeof v === "string" ? redactSecrets(v) : v;
+  }));
+}
+
+function recordAudit(action, entity, before = null, after = null) {
+  ensureDBShape();
+  const entry = {
+    id: uuid(),
+    ts: Date.now(),
+    actor: OPM.user?.username || "public",
+    role: OPM.role,
+    action,
+    entity: { type: entity.type, id: entity.id == null ? "" : String(entity.id), name: entity.name || "" },
+    before: auditSnapshot(before),
+    after: auditSnapshot(after)
+  };
+  OPM.db.audit.push(entry);
+  saveDB();
+  renderAuditTrail();
+  return entry;
+}
+
+// Flattens both snapshots to dotted paths; arrays compare as whole values
+function diffAuditValues(before, after, path = "") {
+  const isObject = v => !!v && typeof v === "object" && !Array.isArray(v);
+  const nested = (isObject(before) || isObject(after)) &&
+    (before == null || isObject(before)) && (after == null || isObject(after));
+
+  if (!nested) {
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path: path || "value", before, after }];
+  }
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys.flatMap(key => diffAuditValues(before?.[key], after?.[key], path ? `${path}.${key}` : key));
+}
+
+function filterAuditEntries(entries, { actor = "", type = "", action = "", search = "" } = {}) {
+  return entries.filter(e => {
+    if (actor && e.actor !== actor) return false;
+    if (type && e.entity.type !== type) return false;
+    if (action && e.action !== action) return false;
+    if (search) {
+      const haystack = [e.entity.name, e.entity.id, JSON.stringify(e.before), JSON.stringify(e.after)].join(" ").toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+}
+
+function getAuditFilters() {
+  return {
+    actor: document.getElementById("auditActorFilter")?.value || "",
+    type: document.getElementById("auditEntityFilter")?.value || "",
+    action: document.getElementById("auditActionFilter")?.value || "",
+    search: (document.getElementById("auditSearchInput")?.value || "").trim().toLowerCase()
+  };
+}
+
+function formatAuditValue(value) {
+  if (value === undefined || value === null || value === "") return "—";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function renderAuditTrail() {
+  const list = document.getElementById("auditList");
+  if (!list) return;
+
+  list.innerHTML = "";
+  if (!can("viewLogs")) return;
+
+  // Actors come and go with the trail itself
+  const actorSel = document.getElementById("auditActorFilter");
+  if (actorSel) {
+    const current = actorSel.value;
+    const actors = [...new Set(OPM.db.audit.map(e => e.actor))].sort();
+    actorSel.innerHTML = '<option value="">All users</option>' +
+      actors.map(a => `<option value="${escapeHtml(a)}">${escapeHtml(a)}</option>`).join("");
+    actorSel.value = actors.includes(current) ? current : "";
+  }
+
+  const entries = filterAuditEntries(OPM.db.audit, getAuditFilters()).reverse();
+  if (!entries.length) {
+    const empty = document.createElement("div");
+    empty.className = "empty-state";
+    empty.textContent = "No changes match these filters.";
+    list.appendChild(empty);
+    return;
+  }
+
+  entries.slice(0, MAX_AUDIT_ROWS).forEach(entry => {
+    const changes = diffAuditValues(entry.before, entry.after);
+    const label = AUDIT_ENTITY_LABELS[entry.entity.type] || entry.entity.type;
+    const name = entry.entity.name || entry.entity.id;
+    const item = document.createElement("details");
+    item.className = `history-item audit-item audit-item--${entry.action}`;
+    item.innerHTML = `
+      <summary>
+        ${escapeHtml(formatTs(entry.ts))} · <strong>${escapeHtml(entry.actor)}</strong>
+        ${escapeHtml(entry.action)} ${escapeHtml(label)}${name && name !== label ? ` "${escapeHtml(name)}"` : ""}
+        <span class="muted small">(${changes.length} change${changes.length === 1 ? "" : "s"})</span>
+      </summary>
+      <table class="table audit-diff">
+        <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+        <tbody>
+          ${changes.map(c => `
+            <tr>
+              <td>${escapeHtml(c.path)}</td>
+              <td class="audit-diff-before">${escapeHtml(formatAuditValue(c.before))}</td>
+              <td class="audit-diff-after">${escapeHtml(formatAuditValue(c.after))}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      <small class="muted">${escapeHtml(entry.role)} · ${escapeHtml(entry.entity.type)} ${escapeHtml(entry.entity.id)}</small>
+    `;
+    list.appendChild(item);
+  });
+}
+
+function bindAuditEvents() {
+  const entitySel = document.getElementById("auditEntityFilter");
+  const actionSel = document.getElementById("auditActionFilter");
+
+  Object.entries(AUDIT_ENTITY_LABELS).forEach(([type, label]) => entitySel?.add(new Option(label, type)));
+  AUDIT_ACTIONS.forEach(action => actionSel?.add(new Option(action, action)));
+
+  ["auditActorFilter", "auditEntityFilter", "auditActionFilter"].forEach(id => {
+    document.getElementById(id)?.addEventListener("change", renderAuditTrail);
+  });
+  document.getElementById("auditSearchInput")?.addEventListener("input", renderAuditTrail);
+}
+
+/* ----------------------------------------------------------------
+   ADMIN EVENTS
+------------------------------------------------------------------- */
+
+function bindAdminEvents() {
+  const clearLogsBtn = document.getElementById("clearLogsBtn");
+
+  bindStatusPageEditorEvents();
+  bindAuditEvents();
+  document.getElementById("logTypeFilter")?.addEventListener("change", renderLogs);
+
+  if (clearLogsBtn) {
+    clearLogsBtn.addEventListener("click", () => {
+      if (!requirePermission("clearLogs", "clearing logs")) return;
+      if (!confirm("Clear all system logs? The audit trail is kept.")) return;
+      ensureDBShape();
+      const entries = OPM.db.logs.length;
+      OPM.db.logs = [];
+      saveDB();
+      renderLogs();
+      recordAudit("clear", { type: "logs", id: "logs", name: "System logs" }, { entries }, { entries: 0 });
+    });
+  }
+}
+
+/* ----------------------------------------------------------------
+   NOTIFICATION EVENTS
+------------------------------------------------------------------- */
+
+function bindNotificationEvents() {
+  const notifBtn = document.getElementById("notifBtn");
+  const closeBtn = document.getElementById("closeNotifPanelBtn");
+  const panel    = document.getElementById("notifPanel");
+
+  if (notifBtn && panel) {
+    notifBtn.addEventListener("click", () => {
+      panel.hidden = false;
+    });
+  }
+
+  if (closeBtn && panel) {
+    closeBtn.addEventListener("click", () => {
+      panel.hidden = true;
+    });
+  }
+}
+
+/* ----------------------------------------------------------------
+   HISTORY EVENTS
+------------------------------------------------------------------- */
+
+function bindHistoryEvents() {
+  const openBtn3 = document.getElementById("openHistoryFromDashboardBtn");
+  const openBtn1 = document.getElementById("openHistoryBtn");
+  const openBtn2 = document.getElementById("historyQuickBtn");
   const closeBtn1 = document.getElementById("closeHistoryModalBtn");
   const closeBtn2 = document.getElementById("closeHistoryModalBtn2");
 
   if (openBtn1) openBtn1.addEventListener("click", openHistoryModal);
   if (openBtn2) openBtn2.addEventListener("click", openHistoryModal);
+  if (openBtn3) openBtn3.addEventListener("click", openHistoryModal);
   if (closeBtn1) closeBtn1.addEventListener("click", closeHistoryModal);
   if (closeBtn2) closeBtn2.addEventListener("click", closeHistoryModal);
+
+  ["historyServiceFilter", "historyStatusFilter", "historyFromDate", "historyToDate"].forEach(id => {
+    document.getElementById(id)?.addEventListener("change", renderHistoryList);
+  });
+  document.getElementById("historySearchInput")?.addEventListener("input", renderHistoryList);
 }
 
 /* ----------------------------------------------------------------
@@ -537,7 +1792,9 @@ function bindHistoryEvents() {
 function bindPublicShareEvents() {
   const btn = document.getElementById("createPublicLinkBtn");
   if (!btn) return;
-  btn.addEventListener("click", createPublicSnapshot);
+  btn.addEventListener("click", () => {
+    if (requirePermission("createPublicLinks", "creating public links")) createPublicSnapshot();
+  });
 }
 
 /* ----------------------------------------------------------------
@@ -549,14 +1806,22 @@ function renderAllWidgets() {
   if (!grid) return;
   grid.innerHTML = "";
 
-  OPM.statusConfigs
+  stopAutoRefresh();
+  OPM.widgets = {};
+  if (!can("viewServices")) return;
+
+  getServiceConfigs()
     .filter(w => w.enabled !== false)
     .forEach(config => {
       const widget = renderWidget(config);
       OPM.widgets[config.id] = widget;
       grid.appendChild(widget.el);
-      refreshWidget(config.id);
+      // Integration-backed widgets keep their last result until the next poll
+      if (config.integrationId) paintWidgetStatus(config.id);
+      else queueRefresh(config.id);
     });
+
+  if (OPM.scheduler.started) startAutoRefresh();
 }
 
 function renderWidget(config) {
@@ -565,17 +1830,19 @@ function renderWidget(config) {
 
   el.innerHTML = `
     <div class="widget-header">
-      <div class="widget-name">${config.name}</div>
+      <div class="widget-name">${escapeHtml(config.name)}</div>
       <div class="widget-status-dot widget-status-unknown" id="dot-${config.id}"></div>
     </div>
     <div class="widget-desc" id="desc-${config.id}">Loading...</div>
+    <a class="widget-incident" id="inc-${config.id}" target="_blank" rel="noopener noreferrer" hidden></a>
+    <ul class="widget-components" id="comp-${config.id}" hidden></ul>
     <div class="widget-actions">
       <button class="btn btn-ghost btn-compact" data-action="refresh">Refresh</button>
-      <a class="btn btn-ghost btn-compact" href="${config.page}" target="_blank" rel="noopener noreferrer">Open</a>
+      <a class="btn btn-ghost btn-compact" href="${escapeHtml(config.page)}" target="_blank" rel="noopener noreferrer">Open</a>
     </div>
   `;
 
-  el.querySelector("[data-action='refresh']").addEventListener("click", () => refreshWidget(config.id));
+  el.querySelector("[data-action='refresh']").addEventListener("click", () => queueRefresh(config.id));
 
   return { config, el };
 }
@@ -585,9 +1852,13 @@ function renderWidget(config) {
 ------------------------------------------------------------------- */
 
 async function refreshAllWidgets() {
-  for (const id of Object.keys(OPM.widgets)) {
-    await refreshWidget(id);
-  }
+  const configs = Object.values(OPM.widgets).map(w => w.config);
+  // Widgets mapped to one integration are all fed by a single poll of it
+  const integrationIds = new Set(configs.map(c => c.integrationId).filter(Boolean));
+  await Promise.all([
+    ...configs.filter(c => !c.integrationId).map(c => queueRefresh(c.id)),
+    ...[...integrationIds].map(id => refreshIntegration(id))
+  ]);
   updateOverviewCounts();
 }
 
@@ -596,374 +1867,4034 @@ async function refreshWidget(id) {
   if (!widget) return;
   const config = widget.config;
 
-  setStatus(id, "unknown", "Checking...");
+  // Integration-backed services are fed by their integration's poll
+  if (config.integrationId) {
+    await refreshIntegration(config.integrationId);
+    return OPM.statusStore[id];
+  }
+
+  markChecking(id);
+  const started = Date.now();
 
   try {
-    const status = await fetchStatus(config.api);
-    setStatus(id, status.level, status.message);
-
-    logEvent("status", `${config.name}: ${status.level}`);
-    updateHistory(id, config.name, status.level, status.message);
-    checkNotificationTrigger(config.name, status);
+    const status = await fetchStatus(config.api, config);
+    if (status.maintenances?.length) syncVendorMaintenance(id, status.maintenances);
+    return recordServiceStatus(id, config.name, status, { latency: Date.now() - started });
   } catch (err) {
     console.error("refreshWidget error:", err);
-    setStatus(id, "unknown", "Unable to load");
+    setStatus(id, "unknown", "Unable to load", { name: config.name, latency: Date.now() - started, error: true });
+    return { level: "unknown", message: "Unable to load", error: true };
+  }
+}
+
+// Shared by every status source (status page polls, integrations):
+// maintenance override, status store, widget, history and alerts.
+function recordServiceStatus(id, name, status, details = {}) {
+  // Planned work overrides whatever the source reports while it lasts
+  const activeWindow = findActiveMaintenance(OPM.db.maintenanceWindows, id, Date.now());
+  if (activeWindow) {
+    status.vendorLevel = status.level;
+    status.level = "maintenance";
+    status.message = `Maintenance${activeWindow.note ? `: ${activeWindow.note}` : ""} · ${status.message}`;
   }
+
+  setStatus(id, status.level, status.message, {
+    name,
+    error: !!status.error,
+    provider: status.provider,
+    matchedRule: status.matchedRule,
+    incident: status.incident,
+    components: status.components,
+    vendorLevel: status.vendorLevel,
+    maintenanceId: activeWindow?.id,
+    ...details
+  });
+  renderWidgetIncident(id, status.incident);
+  renderWidgetComponents(id, status.components);
+  updateAdminLastCheck(id);
+
+  logEvent("status", `${name}: ${status.level}`);
+  const historyEntry = updateHistory(id, name, status.level, status.message);
+  checkNotificationTrigger(id, historyEntry);
+  return status;
 }
 
-function setStatus(id, level, message) {
+// Single writer for OPM.statusStore; counters, alerts and analytics read
+// the store instead of the rendered text.
+function setStatus(id, level, message, details = {}) {
+  const prev = OPM.statusStore[id] || {};
+  const { error, ...rest } = details;
+  const now = Date.now();
+  const sameLevel = prev.level !== undefined && mapStatusToColor(prev.level) === mapStatusToColor(level);
+
+  OPM.statusStore[id] = {
+    ...prev,
+    ...rest,
+    id,
+    level,
+    message,
+    checking: false,
+    lastChecked: now,
+    failures: error ? (prev.failures || 0) + 1 : 0,
+    // consecutive checks at this level, used for flap suppression
+    streak: sameLevel ? (prev.streak || 0) + 1 : 1,
+    since: sameLevel ? prev.since : now
+  };
+
+  paintWidgetStatus(id);
+}
+
+function paintWidgetStatus(id) {
+  const entry = OPM.statusStore[id];
   const dot  = document.getElementById(`dot-${id}`);
   const desc = document.getElementById(`desc-${id}`);
+  if (!entry) return;
+
+  if (dot)  dot.className = `widget-status-dot widget-status-${mapStatusToColor(entry.level)}`;
+  if (desc) desc.textContent = entry.message;
+}
+
+function markChecking(id) {
+  const entry = OPM.statusStore[id];
+  if (entry) entry.checking = true;
+
+  // Keep the last known dot while the check runs; only the text changes
+  const desc = document.getElementById(`desc-${id}`);
+  if (desc && !entry) desc.textContent = "Checking...";
+}
+
+function renderWidgetIncident(id, incident) {
+  const link = document.getElementById(`inc-${id}`);
+  if (!link) return;
+
+  link.hidden = !incident;
+  if (!incident) return;
+
+  const when = incident.ts ? ` · ${formatTs(incident.ts)}` : "";
+  link.textContent = `${incident.title} (${incident.state})${when}`;
+  if (incident.link) link.href = incident.link;
+  else link.removeAttribute("href");
+}
 
-  if (dot)  dot.className = `widget-status-dot widget-status-${mapStatusToColor(level)}`;
-  if (desc) desc.textContent = message;
+function renderWidgetComponents(id, components) {
+  const list = document.getElementById(`comp-${id}`);
+  if (!list) return;
+
+  list.innerHTML = "";
+  list.hidden = !components?.length;
+  if (!components?.length) return;
+
+  components.forEach(c => {
+    const li = document.createElement("li");
+    li.className = "widget-component";
+    li.title = c.status;
+    li.innerHTML = `
+      <span class="widget-status-dot widget-status-dot--small widget-status-${mapStatusToColor(c.level)}"></span>
+      <span class="widget-component-name">${escapeHtml(c.name)}</span>
+    `;
+    list.appendChild(li);
+  });
 }
 
 function mapStatusToColor(level) {
   if (["ok", "operational"].includes(level)) return "ok";
   if (["warning", "minor", "degraded"].includes(level)) return "warn";
   if (["major", "down", "critical"].includes(level)) return "down";
+  if (level === "maintenance") return "maint";
   return "unknown";
 }
 
 /* ----------------------------------------------------------------
-   STATUS FETCHING ENGINE (JSON, RSS-basics, HTML fallback)
+   STATUS FETCHING ENGINE (provider registry + auto-detection)
 ------------------------------------------------------------------- */
 
-async function fetchStatus(url) {
+async function fetchStatus(url, config = {}) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 8000);
 
+  let payload;
   try {
     const res = await fetch(url, { signal: controller.signal });
-
     clearTimeout(timeout);
-    const ct = res.headers.get("content-type") || "";
+    payload = await readStatusPayload(res);
+  } catch {
+    return { level: "unknown", message: "Unreachable / offline", error: true };
+  }
 
-    if (ct.includes("application/json")) {
-      return normalizeJsonStatus(await res.json());
-    }
+  const provider = resolveStatusProvider(payload, config);
+  try {
+    return { ...provider.parse(payload, config), provider: provider.name };
+  } catch (err) {
+    console.warn(`Provider "${provider.name}" failed for ${url}:`, err);
+    return { level: "unknown", message: `Unexpected ${provider.name} response`, provider: provider.name };
+  }
+}
+
+async function readStatusPayload(res) {
+  const contentType = res.headers.get("content-type") || "";
+
+  if (contentType.includes("json")) {
+    return { contentType, json: await res.json(), text: "" };
+  }
 
-    if (ct.includes("xml") || ct.includes("rss")) {
-      const text = await res.text();
-      return normalizeRssStatus(text);
+  // Some vendors serve JSON as text/plain, so sniff the body as well
+  const text = await res.text();
+  let json = null;
+  if (/^\s*[{[]/.test(text)) {
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
     }
+  }
+  return { contentType, json, text };
+}
+
+/* ----------------------------------------------------------------
+   STATUS PROVIDER REGISTRY
+   A provider is { detect(payload, config), parse(payload, config) }.
+   Config entries may pin one with `provider`; otherwise providers are
+   asked in registration order and html-selector is the catch-all.
+------------------------------------------------------------------- */
+
+const STATUS_PROVIDERS = new Map();
+
+function registerStatusProvider(name, provider) {
+  STATUS_PROVIDERS.set(name, { name, ...provider });
+}
+
+function resolveStatusProvider(payload, config = {}) {
+  if (config.provider) {
+    const pinned = STATUS_PROVIDERS.get(config.provider);
+    if (pinned) return pinned;
+    console.warn(`Unknown status provider "${config.provider}" for ${config.name || config.api}, auto-detecting`);
+  }
+
+  for (const provider of STATUS_PROVIDERS.values()) {
+    if (provider.detect(payload, config)) return provider;
+  }
+  return STATUS_PROVIDERS.get("html-selector");
+}
+
+registerStatusProvider("statuspage", {
+  detect: ({ json }) => isStatuspagePayload(json),
+  parse: ({ json }) => {
+    if (!isStatuspagePayload(json)) throw new Error("Not a Statuspage payload");
+    return normalizeStatuspageStatus(json);
+  }
+});
+
+registerStatusProvider("custom", {
+  detect: ({ json }) => json !== null && typeof json === "object",
+  parse: ({ json }, config) => {
+    if (json === null) throw new Error("Expected a JSON body");
+    return normalizeCustomStatus(json, config);
+  }
+});
+
+registerStatusProvider("atom", {
+  detect: ({ text }) => /<feed[\s>]/i.test(text),
+  parse: ({ text }, config) => normalizeRssStatus(text, config)
+});
+
+registerStatusProvider("rss", {
+  detect: ({ contentType, text }) => contentType.includes("rss") || /<rss[\s>]/i.test(text),
+  parse: ({ text }, config) => normalizeRssStatus(text, config)
+});
+
+registerStatusProvider("html-selector", {
+  detect: () => true,
+  parse: ({ text }, config) => (config.scrapeRules?.length
+    ? normalizeScrapedStatus(text, config.scrapeRules)
+    : normalizeHtmlStatus(text))
+});
+
+function normalizeJsonStatus(json) {
+  if (isStatuspagePayload(json)) {
+    return normalizeStatuspageStatus(json);
+  }
+  return normalizeCustomStatus(json);
+}
+
+// Homegrown JSON endpoints: `statusPath`/`messagePath` point into the body and
+// `statusMap` translates vendor values (e.g. {"HASISSUES": "warning"}).
+function normalizeCustomStatus(json, config = {}) {
+  const raw = getPath(json, config.statusPath || "status");
+  if (raw === undefined || raw === null || typeof raw === "object") {
+    return { level: "unknown", message: "Unknown JSON format" };
+  }
+
+  const mapped = Object.entries(config.statusMap || {})
+    .find(([key]) => key.toLowerCase() === String(raw).toLowerCase());
+
+  return {
+    level: mapped ? mapped[1] : mapStatus(String(raw)),
+    message: getPath(json, config.messagePath || "status_description") || "Status received"
+  };
+}
+
+/* ----------------------------------------------------------------
+   STATUSPAGE.IO ADAPTER (summary.json / status.json)
+------------------------------------------------------------------- */
+
+const STATUSPAGE_INDICATOR_LEVELS = {
+  none: "ok",
+  minor: "warning",
+  major: "major",
+  critical: "major",
+  maintenance: "maintenance"
+};
+
+const STATUSPAGE_COMPONENT_LEVELS = {
+  operational: "ok",
+  degraded_performance: "warning",
+  partial_outage: "warning",
+  major_outage: "major",
+  under_maintenance: "maintenance"
+};
+
+function isStatuspagePayload(json) {
+  return !!json && typeof json.status === "object" && json.status !== null && "indicator" in json.status;
+}
+
+function normalizeStatuspageStatus(json) {
+  const indicator = String(json.status.indicator || "").toLowerCase();
+
+  // Component groups only aggregate their children, so list the leaves
+  const components = (json.components || [])
+    .filter(c => !c.group)
+    .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+    .map(c => ({
+      id: c.id,
+      name: c.name,
+      status: c.status,
+      level: STATUSPAGE_COMPONENT_LEVELS[c.status] || "unknown"
+    }));
+
+  const incidents = (json.incidents || [])
+    .filter(i => !["resolved", "postmortem"].includes(i.status))
+    .map(i => ({
+      id: i.id,
+      name: i.name,
+      status: i.status,
+      impact: i.impact,
+      link: i.shortlink,
+      updated: i.updated_at
+    }));
+
+  const maintenances = (json.scheduled_maintenances || [])
+    .filter(m => m.status !== "completed")
+    .map(m => ({
+      id: m.id,
+      name: m.name,
+      status: m.status,
+      start: m.scheduled_for,
+      end: m.scheduled_until,
+      link: m.shortlink
+    }));
+
+  let message = json.status.description || "Status received";
+  if (incidents.length) {
+    message += ` · ${incidents.length} open incident${incidents.length > 1 ? "s" : ""}`;
+  }
+  if (maintenances.some(m => m.status === "in_progress")) {
+    message += " · maintenance in progress";
+  }
+
+  return {
+    level: STATUSPAGE_INDICATOR_LEVELS[indicator] || "unknown",
+    message,
+    components,
+    incidents,
+    maintenances,
+    incident: incidents[0]
+      ? { title: incidents[0].name, link: incidents[0].link, ts: Date.parse(incidents[0].updated) || null, state: incidents[0].status }
+      : null
+  };
+}
+
+/* ----------------------------------------------------------------
+   RSS 2.0 / ATOM INCIDENT FEEDS
+------------------------------------------------------------------- */
+
+// Statuspage-style feeds prefix each update with its state, newest first,
+// so the earliest keyword in an entry is the incident's current state.
+const FEED_STATE_KEYWORDS = {
+  resolved: "resolved",
+  completed: "resolved",
+  monitoring: "monitoring",
+  investigating: "open",
+  identified: "open",
+  update: "open",
+  "in progress": "open",
+  scheduled: "open",
+  verifying: "open"
+};
+
+function parseIncidentFeed(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Malformed feed XML");
+  }
+
+  const isAtom = doc.documentElement.localName === "feed";
+  const nodes = [...doc.getElementsByTagName(isAtom ? "entry" : "item")];
+
+  return nodes
+    .map(node => {
+      const title = feedChildText(node, "title");
+      const summary = stripTags(feedChildText(node, isAtom ? "content" : "description") || feedChildText(node, "summary"));
+      const dateText = isAtom
+        ? feedChildText(node, "updated") || feedChildText(node, "published")
+        : feedChildText(node, "pubDate");
+      const linkEl = node.getElementsByTagName("link")[0];
+      const link = isAtom ? linkEl?.getAttribute("href") || "" : (linkEl?.textContent || "").trim();
+
+      return {
+        title: title || "Untitled incident",
+        link,
+        ts: Date.parse(dateText) || null,
+        summary,
+        state: detectFeedState(`${summary} ${title}`),
+        maintenance: /\bmaintenance\b|scheduled event/i.test(`${title} ${summary}`)
+      };
+    })
+    .sort(compareFeedEntries);
+}
+
+// Newest first; undated entries (ts null) lead, since they may be current
+function compareFeedEntries(a, b) {
+  if (a.ts === null || b.ts === null) return (a.ts === null ? 0 : 1) - (b.ts === null ? 0 : 1);
+  return b.ts - a.ts;
+}
+
+function feedChildText(node, tag) {
+  const el = [...node.children].find(c => c.localName === tag);
+  return (el?.textContent || "").trim();
+}
+
+function detectFeedState(text) {
+  const lower = text.toLowerCase();
+  let best = null;
+
+  for (const keyword in FEED_STATE_KEYWORDS) {
+    const idx = lower.search(new RegExp(`\\b${keyword}\\b`));
+    if (idx !== -1 && (best === null || idx < best.idx)) {
+      best = { idx, state: FEED_STATE_KEYWORDS[keyword] };
+    }
+  }
+  return best ? best.state : "open";
+}
+
+function normalizeRssStatus(xmlText, config = {}) {
+  const items = parseIncidentFeed(xmlText);
+  const lookbackHours = config.lookbackHours ?? OPM.settings.feedLookbackHours;
+  const cutoff = Date.now() - lookbackHours * 3600 * 1000;
+
+  // Undated entries cannot be ruled out, so they count as recent
+  const active = items.filter(i => i.state === "open" && !i.maintenance && (i.ts === null || i.ts >= cutoff));
+  const latest = active[0] || items[0] || null;
+
+  // Announced maintenance feeds the maintenance windows instead of the level
+  const maintenances = items
+    .filter(i => i.maintenance && i.state === "open")
+    .map(i => ({ id: i.link || i.title, name: i.title, status: i.state, ...parseScheduledEventWindow(i.summary, i.ts) }))
+    .filter(m => m.start && m.end);
+
+  if (!active.length) {
+    return { level: "ok", message: "No active incidents", incident: latest, maintenances };
+  }
+
+  const severe = active.some(i => /\b(major|full) outage\b|\bdown\b|unavailable/i.test(i.title));
+  return {
+    level: severe ? "major" : "warning",
+    message: `${active.length} active incident${active.length > 1 ? "s" : ""}: ${active[0].title}`,
+    incident: latest,
+    maintenances
+  };
+}
+
+// Statuspage feeds describe planned work as
+// "THIS IS A SCHEDULED EVENT Jan 9, 21:00 - 23:00 UTC"
+function parseScheduledEventWindow(text, refTs) {
+  const match = /scheduled event\s+([a-z]{3} \d{1,2}),?\s+(\d{1,2}:\d{2})\s*-\s*(?:([a-z]{3} \d{1,2}),?\s+)?(\d{1,2}:\d{2})/i.exec(text || "");
+  if (!match) return {};
+
+  const year = new Date(refTs ?? Date.now()).getUTCFullYear();
+  const start = Date.parse(`${match[1]} ${year} ${match[2]} UTC`);
+  let end = Date.parse(`${match[3] || match[1]} ${year} ${match[4]} UTC`);
+  if (Number.isNaN(start) || Number.isNaN(end)) return {};
+  if (end <= start) end += 24 * 3600 * 1000;
+
+  return { start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+}
+
+/* ----------------------------------------------------------------
+   HTML SCRAPE RULES
+   { name, selector | xpath, read: "text" | <attribute>,
+     match: "contains" | "exact" | "regex", map: { value: level } }
+   Rules are tried in order; the first one whose value maps wins.
+------------------------------------------------------------------- */
+
+function normalizeScrapedStatus(html, rules) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+
+  for (const rule of rules) {
+    const value = readScrapeValue(doc, rule);
+    if (value === null) continue;
+
+    const level = matchScrapeValue(value, rule);
+    if (!level) continue;
+
+    const ruleName = rule.name || rule.selector || rule.xpath;
+    const read = rule.read || "text";
+    return {
+      level,
+      message: read === "text" && value ? value.slice(0, 120) : `Matched rule "${ruleName}"`,
+      matchedRule: ruleName
+    };
+  }
+
+  return { level: "unknown", message: "No scrape rule matched", matchedRule: null };
+}
+
+function readScrapeValue(doc, rule) {
+  let node = null;
+
+  if (rule.xpath) {
+    // 9 === XPathResult.FIRST_ORDERED_NODE_TYPE
+    node = doc.evaluate(rule.xpath, doc, null, 9, null).singleNodeValue;
+  } else if (rule.selector) {
+    node = doc.querySelector(rule.selector);
+  }
+  if (!node) return null;
+
+  const read = rule.read || "text";
+  if (read === "text" || !node.getAttribute) {
+    return (node.textContent || "").replace(/\s+/g, " ").trim();
+  }
+  return node.getAttribute(read);
+}
+
+function matchScrapeValue(value, rule) {
+  const mode = rule.match || "contains";
+  const haystack = String(value).toLowerCase();
+
+  for (const [key, level] of Object.entries(rule.map || {})) {
+    const needle = key.toLowerCase();
+    if (mode === "exact" && haystack === needle) return level;
+    if (mode === "contains" && haystack.includes(needle)) return level;
+    if (mode === "regex" && new RegExp(key, "i").test(value)) return level;
+  }
+  return null;
+}
+
+function normalizeHtmlStatus(html) {
+  if (/degrad|incident|partial/i.test(html)) {
+    return { level: "warning", message: "Possible degradation" };
+  }
+  return { level: "ok", message: "Looks operational" };
+}
+
+function mapStatus(s) {
+  s = s.toLowerCase();
+  if (s.includes("operational") || s.includes("ok")) return "ok";
+  if (s.includes("partial") || s.includes("minor") || s.includes("degrad")) return "warning";
+  if (s.includes("major") || s.includes("down") || s.includes("critical")) return "major";
+  return "unknown";
+}
+
+/* ----------------------------------------------------------------
+   OVERVIEW COUNTS
+------------------------------------------------------------------- */
+
+function getStatusCounts(store = OPM.statusStore, ids = Object.keys(OPM.widgets)) {
+  const counts = { ok: 0, warn: 0, down: 0, maint: 0, unknown: 0 };
+  ids.forEach(id => {
+    counts[mapStatusToColor(store[id]?.level)]++;
+  });
+  return counts;
+}
+
+function updateOverviewCounts() {
+  const opEl = document.getElementById("countOperational");
+  const warnEl = document.getElementById("countWarning");
+  const downEl = document.getElementById("countDown");
+  const unkEl = document.getElementById("countUnknown");
+  const maintEl = document.getElementById("countMaintenance");
+
+  if (!opEl || !warnEl || !downEl || !unkEl) return;
+
+  const counts = getStatusCounts();
+
+  opEl.textContent = counts.ok;
+  warnEl.textContent = counts.warn;
+  downEl.textContent = counts.down;
+  unkEl.textContent = counts.unknown;
+  if (maintEl) maintEl.textContent = counts.maint;
+}
+
+/* ----------------------------------------------------------------
+   AUTO-REFRESH SCHEDULER
+   Each widget has its own timer (config.pollInterval, falling back to
+   the global refresh interval). Refreshes share a bounded pool of
+   slots, a widget never runs twice at once, and unreachable endpoints
+   back off exponentially with jitter.
+------------------------------------------------------------------- */
+
+const SCHEDULER_CONCURRENCY = 4;
+const SCHEDULER_MAX_BACKOFF_SECONDS = 15 * 60;
+
+function startAutoRefresh() {
+  const sched = OPM.scheduler;
+  sched.started = true;
+  if (!sched.paused) {
+    Object.keys(OPM.widgets).forEach(id => scheduleWidget(id));
+  }
+  updateRefreshStatusLabel();
+}
+
+function stopAutoRefresh() {
+  const sched = OPM.scheduler;
+  Object.values(sched.timers).forEach(clearTimeout);
+  sched.timers = {};
+}
+
+function restartAutoRefresh() {
+  stopAutoRefresh();
+  startAutoRefresh();
+}
+
+function getPollInterval(config) {
+  // The global "Disabled" setting switches off every timer
+  if (!(OPM.settings.refreshInterval > 0)) return 0;
+  const own = Number(config.pollInterval);
+  return own > 0 ? own : OPM.settings.refreshInterval;
+}
+
+function computeNextDelay(intervalSec, failures, random = Math.random) {
+  if (!failures) return intervalSec;
+  const backoff = Math.min(intervalSec * 2 ** failures, SCHEDULER_MAX_BACKOFF_SECONDS);
+  return Math.max(intervalSec, backoff * (0.8 + random() * 0.4));
+}
+
+function scheduleWidget(id) {
+  const sched = OPM.scheduler;
+  clearTimeout(sched.timers[id]);
+  delete sched.timers[id];
+
+  const widget = OPM.widgets[id];
+  // Integration-backed widgets follow their integration's poll interval
+  if (!widget || sched.paused || widget.config.integrationId) return;
+
+  const interval = getPollInterval(widget.config);
+  if (!interval) return;
+
+  const delay = computeNextDelay(interval, OPM.statusStore[id]?.failures);
+  sched.timers[id] = setTimeout(async () => {
+    delete sched.timers[id];
+    if (!sched.inFlight.has(id)) await queueRefresh(id);
+    scheduleWidget(id);
+  }, delay * 1000);
+}
+
+function queueRefresh(id) {
+  const sched = OPM.scheduler;
+  if (sched.inFlight.has(id)) return sched.inFlight.get(id);
+
+  const run = acquireRefreshSlot()
+    .then(() => refreshWidget(id))
+    .finally(() => {
+      releaseRefreshSlot();
+      sched.inFlight.delete(id);
+      sched.lastRun = Date.now();
+      updateRefreshStatusLabel();
+      updateOverviewCounts();
+      buildAnalyticsCharts();
+    });
+
+  sched.inFlight.set(id, run);
+  updateRefreshStatusLabel();
+  return run;
+}
+
+function acquireRefreshSlot() {
+  const sched = OPM.scheduler;
+  if (sched.active < SCHEDULER_CONCURRENCY) {
+    sched.active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => sched.waiting.push(resolve));
+}
+
+function releaseRefreshSlot() {
+  const sched = OPM.scheduler;
+  const next = sched.waiting.shift();
+  // Hand the slot straight to the next waiter instead of freeing it
+  if (next) next();
+  else sched.active--;
+}
+
+function updateRefreshStatusLabel() {
+  const label    = document.getElementById("refreshStatusLabel");
+  const pauseBtn = document.getElementById("pauseAutoRefreshBtn");
+  const sched    = OPM.scheduler;
+
+  if (pauseBtn) {
+    pauseBtn.textContent = sched.paused ? "Resume auto-refresh" : "Pause auto-refresh";
+    pauseBtn.setAttribute("aria-pressed", String(sched.paused));
+  }
+  if (!label) return;
+
+  if (sched.inFlight.size) {
+    const queued = sched.waiting.length;
+    label.textContent = `Refreshing… ${sched.inFlight.size - queued} running` + (queued ? `, ${queued} queued` : "");
+  } else if (sched.paused) {
+    label.textContent = "Auto-refresh paused";
+  } else if (!(OPM.settings.refreshInterval > 0)) {
+    label.textContent = "Auto-refresh off";
+  } else {
+    label.textContent = sched.lastRun ? `Updated ${formatTs(sched.lastRun)}` : "Ready";
+  }
+}
+
+/* ----------------------------------------------------------------
+   MAINTENANCE WINDOWS
+   { id, widgetId, start, end (ISO), note, recurring: "none" | "daily" | "weekly",
+     source: "manual" | "vendor", externalId }
+------------------------------------------------------------------- */
+
+const RECURRENCE_PERIODS = {
+  daily: 24 * 3600 * 1000,
+  weekly: 7 * 24 * 3600 * 1000
+};
+
+function findActiveMaintenance(windows, widgetId, ts) {
+  return (windows || []).find(w => w.widgetId === widgetId && isMaintenanceActive(w, ts)) || null;
+}
+
+function isMaintenanceActive(mw, ts) {
+  const start = Date.parse(mw.start);
+  const end = Date.parse(mw.end);
+  if (Number.isNaN(start) || Number.isNaN(end) || ts < start) return false;
+
+  const period = RECURRENCE_PERIODS[mw.recurring];
+  if (!period) return ts < end;
+
+  // Shift the first occurrence forward to the latest one that has started
+  const offset = Math.floor((ts - start) / period) * period;
+  return ts < end + offset;
+}
+
+function syncVendorMaintenance(widgetId, maintenances) {
+  ensureDBShape();
+  let changed = false;
+
+  maintenances
+    .filter(m => m.start && m.end)
+    .forEach(m => {
+      const existing = OPM.db.maintenanceWindows.find(w => w.source === "vendor" && w.widgetId === widgetId && w.externalId === m.id);
+      if (existing) {
+        if (existing.start !== m.start || existing.end !== m.end) {
+          Object.assign(existing, { start: m.start, end: m.end, note: m.name });
+          changed = true;
+        }
+        return;
+      }
+
+      OPM.db.maintenanceWindows.push({
+        id: uuid(),
+        widgetId,
+        start: m.start,
+        end: m.end,
+        note: m.name,
+        recurring: "none",
+        source: "vendor",
+        externalId: m.id
+      });
+      changed = true;
+    });
+
+  if (changed) {
+    saveDB();
+    renderMaintenanceAdmin();
+  }
+}
+
+/* ----------------------------------------------------------------
+   HISTORY SYSTEM
+------------------------------------------------------------------- */
+
+// History keeps one row per run of identical results (count/lastTs grow while
+// nothing changes) and every non-ok run is folded into db.incidents.
+function updateHistory(id, name, level, message) {
+  ensureDBShape();
+  const now = Date.now();
+  const last = findLastHistoryEntry(OPM.db.history, id);
+
+  let entry;
+  if (last && isSameHistoryRun(last, level, message)) {
+    last.lastTs = now;
+    last.count = (last.count || 1) + 1;
+    entry = last;
+  } else {
+    entry = { id: uuid(), widgetId: id, name, level, message, ts: now, lastTs: now, count: 1 };
+    OPM.db.history.push(entry);
+    applyHistoryEntryToIncidents(OPM.db.incidents, entry);
+  }
+
+  saveDB();
+  renderRecentAlerts();
+  return entry;
+}
+
+function findLastHistoryEntry(history, widgetId) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].widgetId === widgetId) return history[i];
+  }
+  return null;
+}
+
+function isSameHistoryRun(entry, level, message) {
+  return mapStatusToColor(entry.level) === mapStatusToColor(level) && entry.message === message;
+}
+
+function compactHistory(history) {
+  const lastByWidget = {};
+  const compacted = [];
+
+  history.forEach(row => {
+    const last = lastByWidget[row.widgetId];
+    if (last && isSameHistoryRun(last, row.level, row.message)) {
+      last.lastTs = row.lastTs || row.ts;
+      last.count = (last.count || 1) + (row.count || 1);
+      return;
+    }
+    const copy = { ...row, lastTs: row.lastTs || row.ts, count: row.count || 1 };
+    lastByWidget[row.widgetId] = copy;
+    compacted.push(copy);
+  });
+
+  return compacted;
+}
+
+/* ----------------------------------------------------------------
+   INCIDENT TIMELINE
+   An incident is a contiguous warning/down period for one service:
+   { id, widgetId, name, start, end (null while ongoing), durationMs,
+     peakLevel, messages: [], historyIds: [] }
+   Unknown and maintenance results neither open nor close incidents.
+------------------------------------------------------------------- */
+
+const MAX_INCIDENT_MESSAGES = 20;
+
+function applyHistoryEntryToIncidents(incidents, entry) {
+  const color = mapStatusToColor(entry.level);
+  const open = incidents.find(i => i.widgetId === entry.widgetId && i.end === null);
+
+  if (color === "ok") {
+    if (open) {
+      open.end = entry.ts;
+      open.durationMs = open.end - open.start;
+      open.historyIds.push(entry.id);
+    }
+    return open || null;
+  }
+
+  if (color !== "warn" && color !== "down") return open || null;
+
+  if (!open) {
+    const incident = {
+      id: uuid(),
+      widgetId: entry.widgetId,
+      name: entry.name,
+      start: entry.ts,
+      end: null,
+      durationMs: null,
+      peakLevel: entry.level,
+      messages: [entry.message],
+      historyIds: [entry.id]
+    };
+    incidents.push(incident);
+    return incident;
+  }
+
+  if (ALERT_SEVERITY[color] > ALERT_SEVERITY[mapStatusToColor(open.peakLevel)]) {
+    open.peakLevel = entry.level;
+  }
+  if (!open.messages.includes(entry.message)) {
+    open.messages.push(entry.message);
+    open.messages = open.messages.slice(-MAX_INCIDENT_MESSAGES);
+  }
+  open.historyIds.push(entry.id);
+  return open;
+}
+
+function buildIncidentsFromHistory(history) {
+  const incidents = [];
+  [...history]
+    .sort((a, b) => a.ts - b.ts)
+    .forEach(entry => applyHistoryEntryToIncidents(incidents, entry));
+  return incidents;
+}
+
+function incidentDuration(incident, now = Date.now()) {
+  return (incident.end ?? now) - incident.start;
+}
+
+function describeIncident(incident) {
+  const level = mapStatusToColor(incident.peakLevel) === "down" ? "Major" : "Degraded";
+  const span = incident.end
+    ? `${formatTs(incident.start)} → ${formatTs(incident.end)}`
+    : `since ${formatTs(incident.start)} (ongoing)`;
+  return `${incident.name} · ${level} · ${span} · ${formatDuration(incidentDuration(incident))}`;
+}
+
+// Ongoing incidents first, then the most recently closed ones
+function renderRecentAlerts() {
+  const list = document.getElementById("recentAlertsList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  const recent = [...OPM.db.incidents]
+    .sort((a, b) => {
+      if ((a.end === null) !== (b.end === null)) return a.end === null ? -1 : 1;
+      return (b.end ?? b.start) - (a.end ?? a.start);
+    })
+    .slice(0, 10);
+
+  if (!recent.length) {
+    const empty = document.createElement("div");
+    empty.className = "empty-state";
+    empty.textContent = "No incidents recorded.";
+    list.appendChild(empty);
+    return;
+  }
+
+  recent.forEach(incident => {
+    const div = document.createElement("div");
+    div.className = `history-item history-item--${mapStatusToColor(incident.peakLevel)}`;
+    const latest = incident.end === null
+      ? OPM.statusStore[incident.widgetId]?.message || incident.messages.at(-1)
+      : incident.messages.at(-1);
+    div.textContent = `${describeIncident(incident)} — ${latest}`;
+    list.appendChild(div);
+  });
+}
+
+function openHistoryModal() {
+  if (!requirePermission("viewServices", "opening history")) return;
+  const modal   = document.getElementById("historyModal");
+  const overlay = document.getElementById("historyOverlay");
+  if (modal)   modal.hidden = false;
+  if (overlay) overlay.hidden = false;
+  populateHistoryServiceFilter();
+  renderHistoryList();
+}
+
+function closeHistoryModal() {
+  const modal   = document.getElementById("historyModal");
+  const overlay = document.getElementById("historyOverlay");
+  if (modal)   modal.hidden = true;
+  if (overlay) overlay.hidden = true;
+}
+
+function getHistoryFilters() {
+  // Date inputs are local calendar days; "to" covers the whole day
+  const fromValue = document.getElementById("historyFromDate")?.value;
+  const toValue = document.getElementById("historyToDate")?.value;
+  return {
+    widgetId: document.getElementById("historyServiceFilter")?.value || "",
+    status: document.getElementById("historyStatusFilter")?.value || "",
+    search: (document.getElementById("historySearchInput")?.value || "").trim().toLowerCase(),
+    from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+    to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null
+  };
+}
+
+function overlapsDateRange(start, end, filters) {
+  if (filters.from != null && end < filters.from) return false;
+  if (filters.to != null && start > filters.to) return false;
+  return true;
+}
+
+function filterIncidents(incidents, filters) {
+  return incidents.filter(incident => {
+    if (filters.widgetId && incident.widgetId !== filters.widgetId) return false;
+
+    const color = mapStatusToColor(incident.peakLevel);
+    if (filters.status === "resolved" && incident.end === null) return false;
+    if (filters.status === "operational" && color !== "ok") return false;
+    if (filters.status === "warning" && color !== "warn") return false;
+    if (filters.status === "major" && color !== "down") return false;
+    if (!overlapsDateRange(incident.start, incident.end ?? Date.now(), filters)) return false;
+
+    if (filters.search) {
+      const haystack = [incident.id, incident.name, ...incident.messages].join(" ").toLowerCase();
+      if (!haystack.includes(filters.search)) return false;
+    }
+    return true;
+  });
+}
+
+// Same filters applied to raw history runs (used by exports). "resolved"
+// keeps non-ok runs that a later run of the same service ended.
+function filterHistoryRows(history, filters) {
+  const statusColor = { operational: "ok", warning: "warn", major: "down" }[filters.status];
+  const latest = {};
+  history.forEach(h => { latest[h.widgetId] = Math.max(latest[h.widgetId] ?? -Infinity, h.ts); });
+  return history.filter(entry => {
+    if (filters.widgetId && entry.widgetId !== filters.widgetId) return false;
+    if (statusColor && mapStatusToColor(entry.level) !== statusColor) return false;
+    if (filters.status === "resolved" && (mapStatusToColor(entry.level) === "ok" || entry.ts === latest[entry.widgetId])) return false;
+    if (!overlapsDateRange(entry.ts, entry.lastTs ?? entry.ts, filters)) return false;
+
+    if (filters.search) {
+      const haystack = [entry.id, entry.name, entry.message].join(" ").toLowerCase();
+      if (!haystack.includes(filters.search)) return false;
+    }
+    return true;
+  });
+}
+
+function populateHistoryServiceFilter() {
+  const select = document.getElementById("historyServiceFilter");
+  if (!select) return;
+
+  const current = select.value;
+  select.length = 1; // keep "All services"
+  getServiceConfigs().forEach(cfg => select.add(new Option(cfg.name, cfg.id)));
+  select.value = current;
+}
+
+function renderHistoryList() {
+  const list = document.getElementById("historyList");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  const filters = getHistoryFilters();
+  renderHistorySummary(filters);
+  const incidents = filterIncidents(OPM.db.incidents, filters)
+    .sort((a, b) => b.start - a.start);
+
+  if (!incidents.length) {
+    const empty = document.createElement("div");
+    empty.className = "empty-state";
+    empty.textContent = "No incidents match these filters.";
+    list.appendChild(empty);
+    return;
+  }
+
+  incidents.forEach(incident => {
+    const div = document.createElement("details");
+    div.className = `history-item history-item--${mapStatusToColor(incident.peakLevel)}`;
+    div.id = `incident-${incident.id}`;
+    div.dataset.historyIds = incident.historyIds.join(" ");
+    div.innerHTML = `
+      <summary>${escapeHtml(describeIncident(incident))}</summary>
+      <ul class="incident-messages">
+        ${incident.messages.map(m => `<li>${escapeHtml(m)}</li>`).join("")}
+      </ul>
+      <small class="muted">Incident ${incident.id}</small>
+    `;
+    list.appendChild(div);
+  });
+}
+
+let historySummarySeq = 0;
+
+// Check counts come from the history rows, read through the storage indexes
+async function renderHistorySummary(filters) {
+  const summary = document.getElementById("historySummary");
+  if (!summary) return;
+  const seq = ++historySummarySeq;
+  const rows = await queryHistoryRows(filters);
+  if (seq !== historySummarySeq) return; // a later filter change is rendering
+  const checks = rows.reduce((sum, row) => sum + (row.count || 1), 0);
+  summary.textContent = `${checks} check(s) in ${rows.length} status run(s) match these filters`;
+}
+
+function showHistoryEntry(historyId) {
+  openHistoryModal();
+  const incident = OPM.db.incidents.find(i => i.historyIds.includes(historyId));
+  const item = incident && document.getElementById(`incident-${incident.id}`);
+  if (!item) return;
+  item.open = true;
+  item.classList.add("history-item--highlight");
+  item.scrollIntoView({ block: "center" });
+}
+
+/* ----------------------------------------------------------------
+   EXPORTS (CSV / JSON)
+   History and incident exports honour the history modal filters
+   (service, status, text, date range); analytics exports use the
+   selected analytics range. Timestamps are ISO 8601 (UTC).
+------------------------------------------------------------------- */
+
+const HISTORY_CSV_COLUMNS = [
+  { header: "id", value: h => h.id },
+  { header: "service_id", value: h => h.widgetId },
+  { header: "service", value: h => h.name },
+  { header: "level", value: h => h.level },
+  { header: "message", value: h => h.message },
+  { header: "first_seen", value: h => toIsoTs(h.ts) },
+  { header: "last_seen", value: h => toIsoTs(h.lastTs ?? h.ts) },
+  { header: "checks", value: h => h.count ?? 1 }
+];
+
+const INCIDENT_CSV_COLUMNS = [
+  { header: "id", value: i => i.id },
+  { header: "service_id", value: i => i.widgetId },
+  { header: "service", value: i => i.name },
+  { header: "peak_level", value: i => i.peakLevel },
+  { header: "start", value: i => toIsoTs(i.start) },
+  { header: "end", value: i => toIsoTs(i.end) },
+  { header: "duration_minutes", value: i => Math.round(incidentDuration(i) / 60000) },
+  { header: "ongoing", value: i => i.end === null },
+  { header: "messages", value: i => i.messages.join(" | ") }
+];
+
+const ANALYTICS_CSV_COLUMNS = [
+  { header: "service_id", value: r => r.widgetId },
+  { header: "service", value: r => r.name },
+  { header: "uptime_percent", value: r => r.uptime == null ? "" : r.uptime.toFixed(3) },
+  { header: "downtime_minutes", value: r => Math.round(r.downtimeMs / 60000) },
+  { header: "degraded_minutes", value: r => Math.round(r.degradedMs / 60000) },
+  { header: "incidents", value: r => r.incidents },
+  { header: "mttr_minutes", value: r => r.mttrMs == null ? "" : Math.round(r.mttrMs / 60000) },
+  { header: "mtbf_minutes", value: r => r.mtbfMs == null ? "" : Math.round(r.mtbfMs / 60000) }
+];
+
+function toIsoTs(ts) {
+  return ts == null ? "" : new Date(ts).toISOString();
+}
+
+// RFC 4180 quoting, plus a leading apostrophe on text that a spreadsheet
+// would otherwise evaluate as a formula
+function escapeCsvValue(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => escapeCsvValue(c.header)).join(",")];
+  rows.forEach(row => lines.push(columns.map(c => escapeCsvValue(c.value(row))).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function downloadFile(filename, content, mimeType) {
+  // BOM so spreadsheet apps read the CSV as UTF-8
+  const body = mimeType.startsWith("text/csv") ? ["\ufeff", content] : [content];
+  const url = URL.createObjectURL(new Blob(body, { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFilename(kind, ext) {
+  return `opm-${kind}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+// History rows by service through the storage indexes. Rows are runs, so
+// one that started before `from` can still overlap the range; only `to`
+// bounds the query and filterHistoryRows does the rest.
+async function queryHistoryRows(filters) {
+  const storage = OPM.storage || createLocalStorageAdapter();
+  const rows = await storage.query("history", { widgetId: filters.widgetId || undefined, to: filters.to ?? undefined });
+  return filterHistoryRows(rows, filters);
+}
+
+async function getFilteredExportData() {
+  ensureDBShape();
+  const filters = getHistoryFilters();
+  return {
+    filters,
+    history: (await queryHistoryRows(filters)).sort((a, b) => a.ts - b.ts),
+    incidents: filterIncidents(OPM.db.incidents, filters).sort((a, b) => a.start - b.start)
+  };
+}
+
+async function exportHistoryCsv() {
+  if (!requirePermission("viewServices", "exporting history")) return;
+  const { history } = await getFilteredExportData();
+  downloadFile(exportFilename("history", "csv"), toCsv(HISTORY_CSV_COLUMNS, history), "text/csv;charset=utf-8");
+  logEvent("export", `Exported ${history.length} history row(s) as CSV`);
+}
+
+async function exportIncidentsCsv() {
+  if (!requirePermission("viewServices", "exporting incidents")) return;
+  const { incidents } = await getFilteredExportData();
+  downloadFile(exportFilename("incidents", "csv"), toCsv(INCIDENT_CSV_COLUMNS, incidents), "text/csv;charset=utf-8");
+  logEvent("export", `Exported ${incidents.length} incident(s) as CSV`);
+}
+
+async function exportHistoryJson() {
+  if (!requirePermission("viewServices", "exporting history")) return;
+  const { filters, history, incidents } = await getFilteredExportData();
+  const payload = {
+    exportedAt: new Date().toISOString(),
+    env: OPM.env,
+    filters: { ...filters, from: toIsoTs(filters.from) || null, to: toIsoTs(filters.to) || null },
+    incidents,
+    history
+  };
+  downloadFile(exportFilename("history", "json"), JSON.stringify(payload, null, 2), "application/json");
+  logEvent("export", `Exported ${incidents.length} incident(s) and ${history.length} history row(s) as JSON`);
+}
+
+function exportAnalytics(format) {
+  if (!requirePermission("viewServices", "exporting analytics")) return;
+  const report = getAnalytics(OPM.settings.analyticsRange, { force: true });
+  if (format === "json") {
+    const payload = { exportedAt: new Date().toISOString(), env: OPM.env, ...report, from: toIsoTs(report.from), to: toIsoTs(report.to) };
+    downloadFile(exportFilename(`analytics-${report.range}`, "json"), JSON.stringify(payload, null, 2), "application/json");
+  } else {
+    downloadFile(exportFilename(`analytics-${report.range}`, "csv"), toCsv(ANALYTICS_CSV_COLUMNS, report.services), "text/csv;charset=utf-8");
+  }
+  logEvent("export", `Exported ${report.range} analytics as ${format.toUpperCase()}`);
+}
+
+function bindExportEvents() {
+  document.getElementById("exportHistoryCsvBtn")?.addEventListener("click", exportHistoryCsv);
+  document.getElementById("exportHistoryCsvBtnFooter")?.addEventListener("click", exportIncidentsCsv);
+  document.getElementById("exportHistoryJsonBtnFooter")?.addEventListener("click", exportHistoryJson);
+  document.getElementById("analyticsExportCsvBtn")?.addEventListener("click", () => exportAnalytics("csv"));
+  document.getElementById("analyticsExportJsonBtn")?.addEventListener("click", () => exportAnalytics("json"));
+}
+
+/* ----------------------------------------------------------------
+   ALERT RULES ENGINE
+   Rules live in OPM.db.alertRules:
+   { id, name, enabled, action: "notify" | "mute", services: [ids] (empty = all),
+     env: "all" | "staging" | "production", minLevel: "warning" | "major",
+     hours: { start: "HH:MM", end: "HH:MM" } | null,
+     escalateAfterMinutes: number | null,
+     channels: ["popup", "sound", "desktop", "outbound:<channel id>"] }
+   A matching mute rule silences everything; otherwise the channels of all
+   matching notify rules are combined.
+------------------------------------------------------------------- */
+
+const ALERT_SEVERITY = { ok: 0, unknown: 0, maint: 0, warn: 1, down: 2 };
+
+function resolveAlertChannels(rules, event, context) {
+  const channels = new Set();
+  const ruleIds = [];
+
+  for (const rule of rules || []) {
+    if (!alertRuleApplies(rule, event, context)) continue;
+
+    if (rule.action === "mute") {
+      return { muted: true, channels: [], ruleIds: [rule.id] };
+    }
+    ruleIds.push(rule.id);
+    (rule.channels || []).forEach(c => channels.add(c));
+  }
+
+  return { muted: false, channels: [...channels], ruleIds };
+}
+
+function alertRuleApplies(rule, event, context) {
+  if (rule.enabled === false) return false;
+  if (rule.services?.length && !rule.services.includes(event.widgetId)) return false;
+  if (rule.env && rule.env !== "all" && rule.env !== context.env) return false;
+  if (rule.hours && !isWithinHours(rule.hours, context.now)) return false;
+  if (rule.action === "mute") return true;
+
+  // Escalation rules only answer escalation events, and vice versa
+  if ((rule.escalateAfterMinutes > 0) !== (event.kind === "escalation")) return false;
+  if (event.kind === "escalation" && event.ruleId !== rule.id) return false;
+
+  const min = ALERT_SEVERITY[mapStatusToColor(rule.minLevel || "major")];
+  // Recoveries and improvements are sent to whoever heard about the outage
+  const severity = Math.max(ALERT_SEVERITY[event.to], event.kind === "escalation" ? 0 : ALERT_SEVERITY[event.from]);
+  return severity >= min;
+}
+
+function isWithinHours(hours, date) {
+  const toMinutes = hhmm => {
+    const [h, m] = String(hhmm).split(":").map(Number);
+    return h * 60 + (m || 0);
+  };
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  // Windows such as 22:00-06:00 wrap past midnight
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/* ----------------------------------------------------------------
+   NOTIFICATIONS SYSTEM
+------------------------------------------------------------------- */
+
+// Alerts fire on confirmed level changes only. A non-ok level must hold for
+// `alertAfterChecks` consecutive checks before it counts; recoveries count at once.
+function evaluateAlertTransition(entry, threshold = 1) {
+  const current = mapStatusToColor(entry.level);
+  if (current === "unknown" || current === "maint") return null;
+
+  const confirmed = entry.confirmedLevel || "ok";
+  if (current === confirmed) return null;
+  if (current !== "ok" && (entry.streak || 0) < threshold) return null;
+
+  return { from: confirmed, to: current, kind: current === "ok" ? "recovery" : "change" };
+}
+
+function checkNotificationTrigger(id, historyEntry) {
+  const entry = OPM.statusStore[id];
+  if (!entry) return;
+
+  // Everything stays quiet during a maintenance window
+  if (mapStatusToColor(entry.level) === "maint") return;
+
+  const transition = evaluateAlertTransition(entry, OPM.settings.alertAfterChecks);
+  if (transition) {
+    entry.confirmedLevel = transition.to;
+    entry.escalatedRules = [];
+    dispatchAlert(id, { ...transition, widgetId: id }, historyEntry);
+  }
+
+  checkEscalations(id, historyEntry);
+}
+
+function dispatchAlert(id, event, historyEntry) {
+  const entry = OPM.statusStore[id];
+  const decision = resolveAlertChannels(OPM.db.alertRules, event, { env: OPM.env, now: new Date() });
+  if (decision.muted || !decision.channels.length) return;
+
+  const titles = {
+    down: `${entry.name} is DOWN`,
+    warn: `${entry.name} is degraded`,
+    ok: `${entry.name} recovered`
+  };
+  const title = event.kind === "escalation"
+    ? `${entry.name} still ${event.to === "down" ? "DOWN" : "degraded"} after ${event.durationMinutes} min`
+    : titles[event.to];
+
+  pushNotification(title, entry.message, {
+    widgetId: id,
+    historyId: historyEntry?.id,
+    kind: event.kind,
+    level: event.to,
+    rules: decision.ruleIds
+  }, decision.channels);
+}
+
+function checkEscalations(id, historyEntry) {
+  const entry = OPM.statusStore[id];
+  const level = entry.confirmedLevel || "ok";
+  if (level === "ok") return;
+
+  const durationMinutes = Math.floor((Date.now() - entry.since) / 60000);
+  const escalated = entry.escalatedRules || (entry.escalatedRules = []);
+
+  OPM.db.alertRules
+    .filter(rule => rule.enabled !== false && rule.escalateAfterMinutes > 0 && !escalated.includes(rule.id))
+    .filter(rule => durationMinutes >= rule.escalateAfterMinutes)
+    .forEach(rule => {
+      const event = { kind: "escalation", widgetId: id, from: level, to: level, durationMinutes, ruleId: rule.id };
+      const decision = resolveAlertChannels(OPM.db.alertRules, event, { env: OPM.env, now: new Date() });
+      if (!decision.ruleIds.includes(rule.id)) return;
+
+      escalated.push(rule.id);
+      dispatchAlert(id, event, historyEntry);
+    });
+}
+
+function pushNotification(title, message, meta = {}, channels = ["popup", "sound"]) {
+  ensureDBShape();
+  const notif = { id: uuid(), title, message, ts: Date.now(), unread: true, ...meta };
+  OPM.db.notifications.push(notif);
+  saveDB();
+  renderNotificationList();
+
+  const recovery = meta.kind === "recovery";
+  if (channels.includes("popup")) showPopupAlert(`${title}: ${message}`, recovery ? "ok" : "down");
+  if (channels.includes("sound") && !recovery) playAlertSound(OPM.settings.alertSound);
+  if (channels.includes("desktop")) showDesktopNotification(title, message);
+  sendToOutboundChannels(channels.filter(c => c.startsWith("outbound:")).map(c => c.slice("outbound:".length)), notif);
+}
+
+function showDesktopNotification(title, body) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  new Notification(title, { body });
+}
+
+function renderNotificationList() {
+  const list = document.getElementById("notifList");
+  if (!list) return;
+  list.innerHTML = "";
+  OPM.db.notifications.slice().reverse().forEach(n => {
+    const div = document.createElement("div");
+    div.className = "notif-item";
+    // Titles and messages quote feed and scrape text
+    div.innerHTML = `<strong>${escapeHtml(n.title)}</strong><br>${escapeHtml(n.message)}<br><small>${formatTs(n.ts)}</small>`;
+    if (n.historyId) {
+      const link = document.createElement("button");
+      link.className = "btn btn-ghost btn-compact notif-history-link";
+      link.type = "button";
+      link.textContent = "View in history";
+      link.addEventListener("click", () => showHistoryEntry(n.historyId));
+      div.appendChild(link);
+    }
+    list.appendChild(div);
+  });
+}
+
+function showPopupAlert(text, tone = "down") {
+  if (!OPM.settings.popupAlerts) return;
+
+  const popup = document.getElementById("alertPopup");
+  if (!popup) return;
+
+  popup.textContent = text;
+  popup.classList.toggle("alert-popup--ok", tone === "ok");
+  popup.hidden = false;
+
+  setTimeout(() => {
+    popup.hidden = true;
+  }, 4000);
+}
+
+function playAlertSound(type) {
+  if (type === "none") return;
+  // path relative to index.html on GitHub Pages
+  new Audio(`assets/sounds/${type}.mp3`).play().catch(() => {});
+}
+
+/* ----------------------------------------------------------------
+   OUTBOUND CHANNELS (webhook / Slack / Teams)
+   Channels live in OPM.db.notificationChannels:
+   { id, name, type: "webhook" | "slack" | "teams", urlMasked, enabled,
+     template: { title, text } }
+   The webhook URL is the credential, so it is kept in the secrets
+   vault under "channel:<id>" and the DB only has its masked origin.
+   Alert rules route to them with "outbound:<id>" in their channels.
+   Templates take {{title}} {{message}} {{service}} {{level}} {{kind}}
+   {{env}} {{time}} {{link}}. Failed deliveries are retried with the
+   scheduler's backoff; every outcome is written to db.logs (type
+   "delivery"). Slack and Teams webhooks send no CORS headers, so
+   those are posted as simple no-cors requests: a network failure is
+   detected, an HTTP error status is not, and a post is only logged as
+   "sent (unconfirmed)". With settings.integrationBaseUrl set they go
+   to <base>/hooks/<type><path> instead (the sink in
+   scripts/mock-server.js, or a relay forwarding to the real host) as
+   JSON, so the real status code is seen.
+------------------------------------------------------------------- */
+
+const OUTBOUND_TYPES = ["webhook", "slack", "teams"];
+const OUTBOUND_MAX_ATTEMPTS = 4;
+const OUTBOUND_RETRY_BASE_SEC = 2;
+const OUTBOUND_TIMEOUT_MS = 10000;
+const DEFAULT_OUTBOUND_TEMPLATE = { title: "{{title}}", text: "{{message}}" };
+const OUTBOUND_COLORS = { down: "#d93025", warn: "#f9ab00", ok: "#188038" };
+
+function renderTemplate(template, vars) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] ?? "") + "");
+}
+
+function outboundTemplateVars(notification) {
+  const service = getServiceConfigs().find(cfg => cfg.id === notification.widgetId);
+  return {
+    title: notification.title,
+    message: notification.message || "",
+    service: service?.name || notification.widgetId || "",
+    level: notification.level || "",
+    kind: notification.kind || "",
+    env: OPM.env,
+    time: new Date(notification.ts).toISOString(),
+    link: service?.page || ""
+  };
+}
+
+function buildOutboundPayload(channel, notification) {
+  const vars = outboundTemplateVars(notification);
+  const template = { ...DEFAULT_OUTBOUND_TEMPLATE, ...channel.template };
+  const title = renderTemplate(template.title, vars);
+  const text = renderTemplate(template.text, vars);
+
+  if (channel.type === "slack") {
+    return {
+      text: title,
+      attachments: [{
+        color: OUTBOUND_COLORS[vars.level] || "#5f6368",
+        title,
+        title_link: vars.link || undefined,
+        text,
+        footer: `OnePage Monitoring · ${vars.env}`,
+        ts: Math.floor(notification.ts / 1000)
+      }]
+    };
+  }
+
+  if (channel.type === "teams") {
+    return {
+      type: "message",
+      attachments: [{
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            { type: "TextBlock", text: title, weight: "Bolder", size: "Medium", wrap: true, color: vars.level === "ok" ? "Good" : vars.level === "warn" ? "Warning" : "Attention" },
+            { type: "TextBlock", text, wrap: true },
+            { type: "FactSet", facts: [["Service", vars.service], ["Level", vars.level], ["Environment", vars.env], ["Time", vars.time]].map(([title, value]) => ({ title, value })) }
+          ],
+          actions: vars.link ? [{ type: "Action.OpenUrl", title: "Open status page", url: vars.link }] : []
+        }
+      }]
+    };
+  }
+
+  return {
+    event: vars.kind || "alert",
+    title,
+    text,
+    level: vars.level,
+    service: { id: notification.widgetId || null, name: vars.service },
+    env: vars.env,
+    ts: vars.time,
+    link: vars.link || null,
+    notificationId: notification.id
+  };
+}
+
+function channelSecretId(channelId) {
+  return `channel:${channelId}`;
+}
+
+function getChannelUrl(channel) {
+  return getIntegrationSecrets(channelSecretId(channel.id)).url || "";
+}
+
+async function storeChannelUrl(channelId, url) {
+  if (!isVaultUnlocked()) throw new Error("Unlock the secrets vault first.");
+  if (url) OPM.secrets[channelSecretId(channelId)] = { url };
+  else delete OPM.secrets[channelSecretId(channelId)];
+  await persistVault();
+}
+
+// Slack and Teams only answer readable responses through a relay
+function resolveOutboundTarget(channel, url) {
+  const base = (OPM.settings.integrationBaseUrl || "").trim();
+  if (channel.type === "webhook") return { url, opaque: false };
+  if (!base) return { url, opaque: true };
+  const parsed = new URL(url);
+  return { url: `${base.replace(/\/+$/, "")}/hooks/${channel.type}${parsed.pathname}${parsed.search}`, opaque: false };
+}
+
+// Retry on network errors, timeouts, 429 and 5xx; other statuses are final.
+// An opaque (no-cors) response is ok but not confirmed.
+async function postOutbound(channel, url, payload) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), OUTBOUND_TIMEOUT_MS);
+  const target = resolveOutboundTarget(channel, url);
+  try {
+    const res = await fetch(target.url, {
+      method: "POST",
+      mode: target.opaque ? "no-cors" : "cors",
+      headers: { "Content-Type": target.opaque ? "text/plain;charset=utf-8" : "application/json" },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (target.opaque) return { ok: true, confirmed: false, status: null };
+    if (res.ok) return { ok: true, confirmed: true, status: res.status };
+    return { ok: false, status: res.status, retry: res.status === 429 || res.status >= 500, error: `HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, status: null, retry: true, error: err.name === "AbortError" ? "Timed out" : err.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function deliverOutbound(channel, notification, { wait = ms => new Promise(r => setTimeout(r, ms)) } = {}) {
+  const payload = buildOutboundPayload(channel, notification);
+  const url = getChannelUrl(channel);
+  let result = url ? null : { ok: false, status: null, error: isVaultUnlocked() ? "No webhook URL stored" : "Secrets vault locked" };
+  let attempt = 0;
+
+  while (url && attempt < OUTBOUND_MAX_ATTEMPTS) {
+    attempt += 1;
+    result = await postOutbound(channel, url, payload);
+    if (result.ok || !result.retry || attempt === OUTBOUND_MAX_ATTEMPTS) break;
+    await wait(computeNextDelay(OUTBOUND_RETRY_BASE_SEC, attempt) * 1000);
+  }
+
+  const outcome = !result.ok ? `failed (${result.error})` : result.confirmed ? "delivered" : "sent (unconfirmed)";
+  logEvent("delivery", `${channel.name} [${channel.type}]: ${outcome} "${notification.title}" after ${attempt} attempt(s)`, {
+    channelId: channel.id,
+    notificationId: notification.id,
+    ok: result.ok,
+    confirmed: !!result.confirmed,
+    status: result.status,
+    attempts: attempt
+  });
+  return { ...result, attempts: attempt };
+}
+
+function sendToOutboundChannels(channelIds, notification) {
+  channelIds.forEach(id => {
+    const channel = OPM.db.notificationChannels.find(c => c.id === id && c.enabled !== false);
+    if (channel) deliverOutbound(channel, notification);
+  });
+}
+
+function validateOutboundChannel(channel, url) {
+  const errors = [];
+  if (!channel.name) errors.push("Name is required.");
+  if (!OUTBOUND_TYPES.includes(channel.type)) errors.push("Unknown channel type.");
+  if (!/^https?:$/.test(safeUrlProtocol(url))) errors.push("Webhook URL must be an http(s) address.");
+  return errors;
+}
+
+// Only the origin is shown; the rest of a webhook URL is its credential
+function maskWebhookUrl(url) {
+  try {
+    return `${new URL(url).origin}/…`;
+  } catch (_) {
+    return "(invalid URL)";
+  }
+}
+
+function renderOutboundChannelsAdmin() {
+  const tbody = document.querySelector("#adminChannelsTable tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+  OPM.db.notificationChannels.forEach(channel => {
+    const last = OPM.db.logs.filter(l => l.type === "delivery" && l.channelId === channel.id).pop();
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(channel.name)}</td>
+      <td>${escapeHtml(channel.type)}</td>
+      <td class="cell-url">${escapeHtml(channel.urlMasked || "")}</td>
+      <td>${last ? `${!last.ok ? "Failed" : last.confirmed ? "Delivered" : "Sent (unconfirmed)"} · ${formatTs(last.ts)}` : "-"}</td>
+      <td>${channel.enabled !== false ? "Yes" : "No"}</td>
+      <td class="cell-actions">
+        <button class="btn btn-ghost btn-compact" data-act="test">Test</button>
+        <button class="btn btn-ghost btn-compact" data-act="toggle">Toggle</button>
+        <button class="btn btn-ghost btn-compact" data-act="delete">Delete</button>
+      </td>
+    `;
+    tr.querySelector("[data-act='test']").addEventListener("click", async e => {
+      if (!requirePermission("manageIntegrations", "testing channels")) return;
+      e.target.disabled = true;
+      const result = await deliverOutbound(channel, {
+        id: uuid(),
+        title: "Test notification",
+        message: `Sent from OnePage Monitoring (${OPM.env})`,
+        ts: Date.now(),
+        kind: "test",
+        level: "ok"
+      });
+      const outcome = !result.ok ? `test failed (${result.error})` : result.confirmed ? "test delivered" : "test sent (delivery cannot be confirmed without a relay)";
+      showPopupAlert(`${channel.name}: ${outcome}`, result.ok ? "ok" : "down");
+      renderOutboundChannelsAdmin();
+    });
+    tr.querySelector("[data-act='toggle']").addEventListener("click", () => {
+      if (!requirePermission("manageIntegrations", "toggling channels")) return;
+      const before = { enabled: channel.enabled !== false };
+      channel.enabled = channel.enabled === false;
+      saveDB();
+      recordAudit("update", channelAuditEntity(channel), before, { enabled: channel.enabled });
+      renderOutboundChannelsAdmin();
+    });
+    tr.querySelector("[data-act='delete']").addEventListener("click", async () => {
+      if (!requirePermission("manageIntegrations", "deleting channels")) return;
+      if (!confirm(`Delete channel "${channel.name}"?`)) return;
+      OPM.db.notificationChannels = OPM.db.notificationChannels.filter(c => c.id !== channel.id);
+      OPM.db.alertRules.forEach(rule => {
+        rule.channels = (rule.channels || []).filter(c => c !== `outbound:${channel.id}`);
+      });
+      delete OPM.pendingSecrets[channelSecretId(channel.id)];
+      // A locked vault keeps the URL until the next save; it is unused
+      if (isVaultUnlocked()) await storeChannelUrl(channel.id, "");
+      saveDB();
+      recordAudit("delete", channelAuditEntity(channel), channelAuditSnapshot(channel), null);
+      renderOutboundChannelsAdmin();
+      renderAlertRulesAdmin();
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function channelAuditEntity(channel) {
+  return { type: "channel", id: channel.id, name: channel.name };
+}
+
+// The masked origin only; the URL itself stays in the vault
+function channelAuditSnapshot(channel) {
+  return { ...channel };
+}
+
+function bindOutboundChannelEvents() {
+  const form = document.getElementById("channelForm");
+  if (!form) return;
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+    if (!requirePermission("manageIntegrations", "adding channels")) return;
+    const data = new FormData(form);
+    const url = String(data.get("url") || "").trim();
+    const channel = {
+      id: uuid(),
+      name: String(data.get("name") || "").trim(),
+      type: data.get("type"),
+      urlMasked: maskWebhookUrl(url),
+      enabled: true,
+      template: {
+        title: String(data.get("templateTitle") || "").trim() || DEFAULT_OUTBOUND_TEMPLATE.title,
+        text: String(data.get("templateText") || "").trim() || DEFAULT_OUTBOUND_TEMPLATE.text
+      }
+    };
+
+    const errors = validateOutboundChannel(channel, url);
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return;
+    }
+    if (!(await requestVaultUnlock("Webhook URLs are stored in the secrets vault."))) return;
+    try {
+      await storeChannelUrl(channel.id, url);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+
+    ensureDBShape();
+    OPM.db.notificationChannels.push(channel);
+    if (data.get("addToRules")) {
+      OPM.db.alertRules
+        .filter(rule => rule.action !== "mute")
+        .forEach(rule => { rule.channels = [...(rule.channels || []), `outbound:${channel.id}`]; });
+    }
+    saveDB();
+    recordAudit("create", channelAuditEntity(channel), null, channelAuditSnapshot(channel));
+    form.reset();
+    renderOutboundChannelsAdmin();
+    renderAlertRulesAdmin();
+  });
+}
+
+/* ----------------------------------------------------------------
+   PUBLIC SHARE SNAPSHOT
+------------------------------------------------------------------- */
+
+function createPublicSnapshot() {
+  // Public fields only: no API URLs, provider options or integration data
+  const snapshot = {
+    created: Date.now(),
+    widgets: OPM.statusConfigs
+      .filter(w => w.enabled)
+      .map(({ id, name, category, page }) => ({ id, name, category, page })),
+    history: [...OPM.db.history]
+  };
+
+  const json = btoa(JSON.stringify(snapshot));
+  const url = `${location.origin}${location.pathname}#public=${json}`;
+
+  const area = document.getElementById("publicLinkArea");
+  if (area) {
+    area.innerHTML = `<input class="input" value="${url}" readonly />`;
+  }
+
+  logEvent("public", "Created snapshot link");
+}
+
+/* ----------------------------------------------------------------
+   ADMIN SECTION (Tables, Feature Flags)
+------------------------------------------------------------------- */
+
+function renderStatusTableAdmin() {
+  const tbody = document.querySelector("#adminStatusTable tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+  OPM.statusConfigs.forEach((row, index) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(row.name)}${row.origin === "admin" ? ' <span class="muted small">(added in admin)</span>' : ""}</td>
+      <td>${escapeHtml(row.category || "-")}</td>
+      <td class="cell-url">${escapeHtml(row.api)}</td>
+      <td class="cell-url">${escapeHtml(row.page || "-")}</td>
+      <td>${row.enabled !== false ? "Yes" : "No"}</td>
+      <td>${escapeHtml(row.env || "all")}</td>
+      <td class="muted small" id="adminLastCheck-${row.id}">${describeLastCheck(row.id)}</td>
+      <td class="cell-actions">
+        <button class="btn btn-ghost btn-compact" data-act="up" type="button" aria-label="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+        <button class="btn btn-ghost btn-compact" data-act="down" type="button" aria-label="Move down" ${index === OPM.statusConfigs.length - 1 ? "disabled" : ""}>↓</button>
+        <button class="btn btn-ghost btn-compact" data-act="edit" type="button">Edit</button>
+        <button class="btn btn-ghost btn-compact" data-act="duplicate" type="button">Duplicate</button>
+        <button class="btn btn-ghost btn-compact" data-act="toggle" type="button">${row.enabled !== false ? "Disable" : "Enable"}</button>
+        <button class="btn btn-ghost btn-compact" data-act="delete" type="button">Delete</button>
+      </td>
+    `;
+
+    const on = (act, fn) => tr.querySelector(`[data-act='${act}']`).addEventListener("click", fn);
+    const guarded = fn => () => {
+      if (requirePermission("manageServices", "editing status pages")) fn();
+    };
+    on("up", guarded(() => moveStatusPage(row.id, -1)));
+    on("down", guarded(() => moveStatusPage(row.id, 1)));
+    on("edit", guarded(() => openStatusPageModal(row)));
+    on("duplicate", guarded(() => openStatusPageModal(row, { duplicate: true })));
+    on("toggle", guarded(() => {
+      saveStatusPage({ ...row, enabled: row.enabled === false });
+    }));
+    on("delete", guarded(() => {
+      if (!confirm(`Delete "${row.name}"? Its history is kept.`)) return;
+      deleteStatusPage(row);
+    }));
+    tbody.appendChild(tr);
+  });
+}
+
+function describeLastCheck(id) {
+  const result = OPM.statusStore[id];
+  if (!result) return "-";
+
+  const via = result.matchedRule ? `rule "${result.matchedRule}"` : (result.provider || "fetch");
+  return `${escapeHtml(via)} · ${result.level} · ${formatTs(result.lastChecked)}`;
+}
+
+function updateAdminLastCheck(id) {
+  const cell = document.getElementById(`adminLastCheck-${id}`);
+  if (cell) cell.innerHTML = describeLastCheck(id);
+}
+
+/* ----------------------------------------------------------------
+   STATUS PAGE EDITOR
+   config/status-pages.json stays the baseline. Admin edits persist in
+   OPM.db.statusPages as per-id records:
+     - a patch for a config page (only the fields that differ)
+     - { id, deleted: true } to hide a config page
+     - a full record for a page that only exists in the DB
+   OPM.db.statusPageOrder holds the admin's ordering by id.
+------------------------------------------------------------------- */
+
+const STATUS_PAGE_FIELDS = ["name", "category", "api", "page", "env", "provider", "pollInterval", "enabled"];
+// Provider-specific settings edited as JSON in the "options" textarea
+const STATUS_PAGE_OPTION_KEYS = ["statusPath", "messagePath", "statusMap", "scrapeRules", "lookbackHours"];
+
+function mergeStatusPages(configPages, overrides = [], order = []) {
+  const byId = new Map(overrides.map(o => [o.id, o]));
+  const merged = configPages
+    .filter(page => !byId.get(page.id)?.deleted)
+    .map(page => ({ ...page, ...byId.get(page.id), origin: "config" }));
+  const configIds = new Set(configPages.map(p => p.id));
+  overrides
+    .filter(o => !configIds.has(o.id) && !o.deleted)
+    .forEach(o => merged.push({ enabled: true, env: "all", ...o, origin: "admin" }));
+
+  // Ordered ids first, anything not yet ordered keeps its natural place after them
+  const rank = id => {
+    const idx = order.indexOf(id);
+    return idx === -1 ? order.length : idx;
+  };
+  return merged
+    .map((page, index) => ({ page, index }))
+    .sort((a, b) => rank(a.page.id) - rank(b.page.id) || a.index - b.index)
+    .map(({ page }) => page);
+}
+
+function applyStatusPageOverrides() {
+  OPM.statusConfigs = mergeStatusPages(OPM.configStatusPages, OPM.db.statusPages, OPM.db.statusPageOrder);
+}
+
+// The DB record to store for `page`: a minimal patch for config pages, the full record otherwise
+function toStatusPageOverride(page, configPage) {
+  const record = { id: page.id };
+  STATUS_PAGE_FIELDS.concat(STATUS_PAGE_OPTION_KEYS).forEach(key => {
+    const value = page[key] ?? null;
+    if (!configPage) {
+      if (value !== null) record[key] = value;
+    } else if (JSON.stringify(value) !== JSON.stringify(configPage[key] ?? null)) {
+      // null clears a field that the config file sets
+      record[key] = value;
+    }
+  });
+  return record;
+}
+
+function normalizeApiUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+  } catch (_) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+function validateStatusPage(page, pages) {
+  const errors = [];
+  if (!page.name) errors.push("Name is required.");
+  if (!/^https?:$/.test(safeUrlProtocol(page.api))) errors.push("API URL must be an http(s) address.");
+  if (page.page && !/^https?:$/.test(safeUrlProtocol(page.page))) errors.push("Status page URL must be an http(s) address.");
+  if (page.pollInterval != null && page.pollInterval < 10) errors.push("Poll interval must be at least 10 seconds.");
+  if (page.provider && !STATUS_PROVIDERS.has(page.provider)) errors.push(`Unknown provider "${page.provider}".`);
+
+  const others = pages.filter(p => p.id !== page.id);
+  if (others.some(p => p.name?.trim().toLowerCase() === page.name.toLowerCase())) {
+    errors.push(`A status page named "${page.name}" already exists.`);
+  }
+  const dup = others.find(p => normalizeApiUrl(p.api) === normalizeApiUrl(page.api) && envsOverlap(p.env, page.env));
+  if (dup) errors.push(`"${dup.name}" already polls this API URL.`);
+  return errors;
+}
+
+function envsOverlap(a = "all", b = "all") {
+  return a === "all" || b === "all" || a === b;
+}
+
+// A copy keeps the API URL only if some environment does not poll it yet
+function pickDuplicateEnv(source, pages) {
+  return ["staging", "production"].find(env =>
+    !pages.some(p => normalizeApiUrl(p.api) === normalizeApiUrl(source.api) && envsOverlap(p.env, env))
+  ) || null;
+}
+
+function readStatusPageForm(form) {
+  const data = new FormData(form);
+  const interval = Number(data.get("pollInterval"));
+  const page = {
+    id: data.get("id") || `page-${uuid()}`,
+    name: String(data.get("name") || "").trim(),
+    category: String(data.get("category") || "").trim() || undefined,
+    api: String(data.get("api") || "").trim(),
+    page: String(data.get("page") || "").trim() || undefined,
+    env: data.get("env") || "all",
+    provider: data.get("provider") || undefined,
+    pollInterval: interval > 0 ? interval : undefined,
+    enabled: data.get("enabled") === "on"
+  };
+
+  const raw = String(data.get("options") || "").trim();
+  if (!raw) return { page };
+  try {
+    const options = JSON.parse(raw);
+    if (!options || typeof options !== "object" || Array.isArray(options)) throw new Error("not an object");
+    STATUS_PAGE_OPTION_KEYS.forEach(key => {
+      if (key in options) page[key] = options[key];
+    });
+    return { page };
+  } catch (_) {
+    return { page, error: "Provider options must be a JSON object." };
+  }
+}
+
+function openStatusPageModal(page = null, { duplicate = false } = {}) {
+  const modal = document.getElementById("statusPageModal");
+  const form = document.getElementById("statusPageForm");
+  if (!modal || !form) return;
+
+  const providerSel = form.elements.provider;
+  if (providerSel.options.length === 1) {
+    [...STATUS_PROVIDERS.keys()].forEach(name => providerSel.add(new Option(name, name)));
+  }
+
+  form.reset();
+  const source = page || { env: "all", enabled: true };
+  const options = Object.fromEntries(STATUS_PAGE_OPTION_KEYS.filter(k => source[k] !== undefined).map(k => [k, source[k]]));
+
+  const copyEnv = duplicate ? pickDuplicateEnv(source, OPM.statusConfigs) : null;
+
+  form.elements.id.value = page && !duplicate ? page.id : "";
+  form.elements.name.value = duplicate ? `${source.name} (copy)` : source.name || "";
+  form.elements.category.value = source.category || "";
+  form.elements.api.value = duplicate && !copyEnv ? "" : source.api || "";
+  form.elements.page.value = source.page || "";
+  form.elements.env.value = copyEnv || source.env || "all";
+  form.elements.provider.value = source.provider || "";
+  form.elements.pollInterval.value = source.pollInterval || "";
+  form.elements.enabled.checked = source.enabled !== false;
+  form.elements.options.value = Object.keys(options).length ? JSON.stringify(options, null, 2) : "";
+
+  document.getElementById("statusPageModalTitle").textContent =
+    page && !duplicate ? `Edit ${page.name}` : duplicate ? "Duplicate status page" : "Add status page";
+  renderStatusPageFormMessages([]);
+  document.getElementById("statusPageTestResult").innerHTML = "";
+  const note = document.getElementById("statusPageNote");
+  if (note) {
+    note.hidden = !duplicate;
+    note.textContent = !duplicate ? "" : copyEnv
+      ? `The copy polls the same API URL for ${copyEnv}; "${source.name}" already covers ${source.env || "all"}.`
+      : `"${source.name}" already polls its API URL in every environment. Enter the API URL for the copy.`;
+  }
+
+  modal.hidden = false;
+  document.getElementById("statusPageOverlay").hidden = false;
+  form.elements.name.focus();
+}
+
+function closeStatusPageModal() {
+  document.getElementById("statusPageModal").hidden = true;
+  document.getElementById("statusPageOverlay").hidden = true;
+}
+
+function renderStatusPageFormMessages(errors) {
+  const box = document.getElementById("statusPageErrors");
+  if (!box) return;
+  box.hidden = !errors.length;
+  box.innerHTML = errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+}
+
+function saveStatusPage(page) {
+  const configPage = OPM.configStatusPages.find(p => p.id === page.id);
+  const override = toStatusPageOverride(page, configPage);
+  const before = OPM.statusConfigs.find(p => p.id === page.id) || null;
+
+  OPM.db.statusPages = OPM.db.statusPages.filter(o => o.id !== page.id);
+  // A config page with no differences needs no record at all
+  if (!configPage || Object.keys(override).length > 1) OPM.db.statusPages.push(override);
+  commitStatusPageChanges();
+
+  const after = OPM.statusConfigs.find(p => p.id === page.id);
+  recordAudit(before ? "update" : "create", { type: "statusPage", id: page.id, name: page.name }, before, after);
+}
+
+function deleteStatusPage(page) {
+  OPM.db.statusPages = OPM.db.statusPages.filter(o => o.id !== page.id);
+  if (page.origin === "config") OPM.db.statusPages.push({ id: page.id, deleted: true });
+  OPM.db.statusPageOrder = OPM.db.statusPageOrder.filter(id => id !== page.id);
+  delete OPM.statusStore[page.id];
+  commitStatusPageChanges();
+  recordAudit("delete", { type: "statusPage", id: page.id, name: page.name }, page, null);
+}
+
+function moveStatusPage(id, delta) {
+  const order = OPM.statusConfigs.map(p => p.id);
+  const from = order.indexOf(id);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= order.length) return;
+  [order[from], order[to]] = [order[to], order[from]];
+  OPM.db.statusPageOrder = order;
+  commitStatusPageChanges();
+
+  const page = OPM.statusConfigs.find(p => p.id === id);
+  recordAudit("reorder", { type: "statusPage", id, name: page?.name }, { position: from + 1 }, { position: to + 1 });
+}
+
+function commitStatusPageChanges() {
+  applyStatusPageOverrides();
+  saveDB();
+  renderStatusTableAdmin();
+  refreshServiceViews();
+}
+
+async function testStatusPageForm() {
+  const form = document.getElementById("statusPageForm");
+  const out = document.getElementById("statusPageTestResult");
+  const { page, error } = readStatusPageForm(form);
+  if (error || !/^https?:$/.test(safeUrlProtocol(page.api))) {
+    renderStatusPageFormMessages([error || "API URL must be an http(s) address."]);
+    return;
+  }
+
+  out.textContent = "Fetching…";
+  const started = Date.now();
+  const result = await fetchStatus(page.api, page);
+  const details = [
+    ["Level", result.level],
+    ["Message", result.message],
+    ["Provider", result.provider || "-"],
+    ["Matched rule", result.matchedRule || "-"],
+    ["Incident", result.incident?.name || result.incident?.title || "-"],
+    ["Components", result.components?.length ?? "-"],
+    ["Took", `${Date.now() - started} ms`]
+  ];
+  out.innerHTML = `
+    <dl class="test-result test-result--${mapStatusToColor(result.level)}">
+      ${details.map(([k, v]) => `<dt>${k}</dt><dd>${escapeHtml(String(v))}</dd>`).join("")}
+    </dl>
+  `;
+}
+
+function bindStatusPageEditorEvents() {
+  const form = document.getElementById("statusPageForm");
+  if (!form) return;
+
+  document.getElementById("adminAddStatusPageBtn")?.addEventListener("click", () => {
+    if (requirePermission("manageServices", "adding status pages")) openStatusPageModal();
+  });
+  document.getElementById("statusPageTestBtn")?.addEventListener("click", testStatusPageForm);
+  ["closeStatusPageModalBtn", "cancelStatusPageBtn"].forEach(id => {
+    document.getElementById(id)?.addEventListener("click", closeStatusPageModal);
+  });
+
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    if (!requirePermission("manageServices", "saving status pages")) return;
+    const { page, error } = readStatusPageForm(form);
+    const errors = validateStatusPage(page, OPM.statusConfigs);
+    if (error) errors.push(error);
+    if (errors.length) {
+      renderStatusPageFormMessages(errors);
+      return;
+    }
+
+    saveStatusPage(page);
+    closeStatusPageModal();
+  });
+}
+
+// Rebuild a service <select> (single or multiple) keeping the current selection
+function fillServiceOptions(select) {
+  const selected = new Set([...select.selectedOptions].map(o => o.value));
+  select.length = 0;
+  getServiceConfigs().forEach(cfg => select.add(new Option(cfg.name, cfg.id, false, selected.has(cfg.id))));
+}
+
+function renderAlertRulesAdmin() {
+  const tbody = document.querySelector("#adminAlertRulesTable tbody");
+  const serviceSel = document.getElementById("alertRuleServices");
+  const outboundBox = document.getElementById("alertRuleOutboundChannels");
+
+  if (serviceSel) fillServiceOptions(serviceSel);
+  if (outboundBox) {
+    outboundBox.innerHTML = OPM.db.notificationChannels.map(c => `
+      <label class="field--inline"><input type="checkbox" name="channels" value="outbound:${escapeHtml(c.id)}" /> ${escapeHtml(c.name)}</label>
+    `).join("");
+  }
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+  const names = Object.fromEntries(getServiceConfigs().map(c => [c.id, c.name]));
+  const channelNames = Object.fromEntries(OPM.db.notificationChannels.map(c => [`outbound:${c.id}`, c.name]));
+
+  OPM.db.alertRules.forEach((rule, index) => {
+    const services = rule.services?.length ? rule.services.map(id => names[id] || id).join(", ") : "All";
+    const when = rule.hours ? `${rule.hours.start}–${rule.hours.end}` : "Always";
+    const what = rule.action === "mute"
+      ? "Mute"
+      : `${rule.minLevel === "warning" ? "Warning+" : "Major"}` +
+        (rule.escalateAfterMinutes ? ` for ${rule.escalateAfterMinutes} min` : "") +
+        ` → ${(rule.channels || []).map(c => channelNames[c] || c).join(", ") || "none"}`;
+
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(rule.name)}</td>
+      <td>${escapeHtml(services)}</td>
+      <td>${escapeHtml(what)}</td>
+      <td>${rule.env || "all"}</td>
+      <td>${when}</td>
+      <td>${rule.enabled !== false ? "Yes" : "No"}</td>
+      <td>
+        <button class="btn btn-ghost btn-compact" data-act="toggle">Toggle</button>
+        <button class="btn btn-ghost btn-compact" data-act="delete">Delete</button>
+      </td>
+    `;
+    tr.querySelector("[data-act='toggle']").addEventListener("click", () => {
+      if (!requirePermission("manageServices", "toggling alert rules")) return;
+      const before = { enabled: rule.enabled !== false };
+      rule.enabled = rule.enabled === false;
+      saveDB();
+      recordAudit("update", { type: "alertRule", id: rule.id, name: rule.name }, before, { enabled: rule.enabled });
+      renderAlertRulesAdmin();
+    });
+    tr.querySelector("[data-act='delete']").addEventListener("click", () => {
+      if (!requirePermission("manageServices", "deleting alert rules")) return;
+      OPM.db.alertRules.splice(index, 1);
+      saveDB();
+      recordAudit("delete", { type: "alertRule", id: rule.id, name: rule.name }, rule, null);
+      renderAlertRulesAdmin();
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function bindAlertRuleEvents() {
+  const form = document.getElementById("alertRuleForm");
+  if (!form) return;
+
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    if (!requirePermission("manageServices", "adding alert rules")) return;
+    const data = new FormData(form);
+    const name = String(data.get("name") || "").trim();
+    const start = data.get("hoursStart");
+    const end = data.get("hoursEnd");
+    const escalate = Number(data.get("escalateAfterMinutes"));
+
+    if (!name) {
+      alert("Please give the rule a name.");
+      return;
+    }
+    if (!!start !== !!end) {
+      alert("Active hours need both a start and an end time.");
+      return;
+    }
+
+    const rule = {
+      id: uuid(),
+      name,
+      enabled: true,
+      action: data.get("action"),
+      services: data.getAll("services"),
+      env: data.get("env"),
+      minLevel: data.get("minLevel"),
+      hours: start && end ? { start, end } : null,
+      escalateAfterMinutes: escalate > 0 ? escalate : null,
+      channels: data.getAll("channels")
+    };
+
+    if (rule.channels.includes("desktop") && typeof Notification !== "undefined" && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+
+    ensureDBShape();
+    OPM.db.alertRules.push(rule);
+    saveDB();
+    recordAudit("create", { type: "alertRule", id: rule.id, name }, null, rule);
+    form.reset();
+    renderAlertRulesAdmin();
+  });
+}
+
+function renderMaintenanceAdmin() {
+  const tbody = document.querySelector("#adminMaintenanceTable tbody");
+  const serviceSel = document.getElementById("maintenanceService");
+
+  if (serviceSel) fillServiceOptions(serviceSel);
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+  const names = Object.fromEntries(getServiceConfigs().map(c => [c.id, c.name]));
+  const now = Date.now();
+
+  OPM.db.maintenanceWindows.forEach((w, index) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(names[w.widgetId] || w.widgetId)}</td>
+      <td>${formatTs(w.start)} – ${formatTs(w.end)}</td>
+      <td>${w.recurring || "none"}</td>
+      <td>${escapeHtml(w.note || "-")}</td>
+      <td>${w.source}${isMaintenanceActive(w, now) ? " · active" : ""}</td>
+      <td><button class="btn btn-ghost btn-compact" data-act="delete">Delete</button></td>
+    `;
+    tr.querySelector("[data-act='delete']").addEventListener("click", () => {
+      if (!requirePermission("manageServices", "deleting maintenance windows")) return;
+      OPM.db.maintenanceWindows.splice(index, 1);
+      saveDB();
+      recordAudit("delete", maintenanceAuditEntity(w), w, null);
+      renderMaintenanceAdmin();
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function maintenanceAuditEntity(win) {
+  const service = getServiceConfigs().find(c => c.id === win.widgetId);
+  return { type: "maintenanceWindow", id: win.id, name: service?.name || win.widgetId };
+}
+
+function bindMaintenanceEvents() {
+  const form = document.getElementById("maintenanceForm");
+  if (!form) return;
+
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    if (!requirePermission("manageServices", "adding maintenance windows")) return;
+    const data = new FormData(form);
+    const start = Date.parse(data.get("start"));
+    const end = Date.parse(data.get("end"));
+
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+      alert("Please enter a start and an end time, with the end after the start.");
+      return;
+    }
+
+    ensureDBShape();
+    const win = {
+      id: uuid(),
+      widgetId: data.get("widgetId"),
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      note: String(data.get("note") || "").trim(),
+      recurring: data.get("recurring"),
+      source: "manual"
+    };
+    OPM.db.maintenanceWindows.push(win);
+    saveDB();
+    recordAudit("create", maintenanceAuditEntity(win), null, win);
+    form.reset();
+    renderMaintenanceAdmin();
+  });
+}
+
+function renderIntegrationsTableAdmin() {
+  const tbody = document.querySelector("#adminIntegrationsTable tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+  getIntegrationConfigs().forEach(i => {
+    const adapter = getIntegrationAdapter(i);
+    const state = OPM.integrationState[i.id];
+    const enabled = i.enabled !== false;
+    const status = !adapter
+      ? "No adapter"
+      : `${enabled ? "Enabled" : "Disabled"} · every ${i.pollInterval || 60}s` +
+        (state?.status === "error" ? ` · ${state.error}` : state?.lastChecked ? ` · checked ${formatTs(state.lastChecked)}` : "");
+
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(i.name)}</td>
+      <td>${escapeHtml(i.type || "")}</td>
+      <td>${escapeHtml(i.env || "all")}</td>
+      <td>${escapeHtml(status)}</td>
+      <td class="cell-actions">
+        <button class="btn btn-ghost btn-compact" data-act="edit">Edit</button>
+        <button class="btn btn-ghost btn-compact" data-act="toggle">${enabled ? "Disable" : "Enable"}</button>
+      </td>
+    `;
+    tr.querySelector("[data-act='edit']").addEventListener("click", () => {
+      if (requirePermission("manageIntegrations", "editing integrations")) openIntegrationEditor(i.id);
+    });
+    tr.querySelector("[data-act='toggle']").addEventListener("click", () => {
+      if (!requirePermission("manageIntegrations", "toggling integrations")) return;
+      saveIntegrationSettings({ id: i.id, enabled: !enabled, pollInterval: i.pollInterval, fields: i.fields });
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function renderFeatureFlags() {
+  const list = document.getElementById("featureFlagsList");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  const flags = OPM.db.featureFlags || {};
+  for (const key in flags) {
+    const div = document.createElement("div");
+    div.className = "field field--inline";
+
+    div.innerHTML = `
+      <input type="checkbox" id="flag-${key}" ${flags[key] ? "checked" : ""} />
+      <span class="field-label-inline">${key}</span>
+    `;
+
+    div.querySelector("input").addEventListener("change", e => {
+      if (!requirePermission("manageServices", "changing feature flags")) {
+        e.target.checked = !!OPM.db.featureFlags[key];
+        return;
+      }
+      const before = { enabled: !!OPM.db.featureFlags[key] };
+      OPM.db.featureFlags[key] = e.target.checked;
+      saveDB();
+      recordAudit("update", { type: "featureFlag", id: key, name: key }, before, { enabled: e.target.checked });
+      if (key === "enableIntegrationPolling") {
+        startIntegrationPolling();
+        refreshServiceViews();
+      }
+    });
+
+    list.appendChild(div);
+  }
+}
+
+/* ----------------------------------------------------------------
+   INTEGRATIONS
+   Definitions come from config/integrations.json; admin edits
+   (credentials, enabled, pollInterval) are layered from
+   OPM.db.integrations. A config entry declares:
+     api          named endpoint URLs
+     authType     apiKey | pat | bearer | basic (see INTEGRATION_AUTH_TYPES)
+     auth         optional { header, prefix } for apiKey
+     fields       key -> default value, or { label, type, default,
+                  required, help, placeholder }; rendered as the edit form
+     adapter      adapter name (default: id without "int-")
+     adapterScript  optional script that registers the adapter, so new
+                  integrations need no change to this file
+   Each integration is served by an adapter:
+     { kpi: { tile, value }, refreshButton,      (optional, generated)
+       services(config) -> [{ id, name, category, page }]   (optional)
+       poll(config, request) -> { count, value?, sub, tone, summary, items, services? } }
+   request(url, { headers }) already carries the auth headers.
+   items: [{ id, title, status, severity, service, ts, url }]
+   services: [{ id, level, message, incident? }] are recorded like any
+   status page result, so they get widgets, history and alerts.
+   Polling only runs while the enableIntegrationPolling flag is on.
+   For local testing, settings.integrationBaseUrl replaces the API
+   origin (see scripts/mock-server.js).
+------------------------------------------------------------------- */
+
+const INTEGRATION_ADAPTERS = new Map();
+const INTEGRATION_TIMEOUT_MS = 10000;
+const MIN_INTEGRATION_INTERVAL_SEC = 10;
+
+// Credential fields per auth type; they render as required password inputs
+const INTEGRATION_AUTH_TYPES = {
+  apiKey: {
+    fields: ["apiKey"],
+    headers: (f, auth = {}) => ({ [auth.header || "Authorization"]: `${auth.prefix || ""}${f.apiKey}` })
+  },
+  pat: {
+    fields: ["pat"],
+    headers: f => ({ Authorization: `Basic ${btoa(`:${f.pat}`)}` })
+  },
+  bearer: {
+    fields: ["token"],
+    headers: f => ({ Authorization: `Bearer ${f.token}` })
+  },
+  basic: {
+    fields: ["username", "password"],
+    headers: f => ({ Authorization: `Basic ${btoa(`${f.username}:${f.password}`)}` })
+  }
+};
+
+function registerIntegrationAdapter(name, adapter) {
+  INTEGRATION_ADAPTERS.set(name, { name, ...adapter });
+}
+
+function getIntegrationAdapter(config) {
+  return INTEGRATION_ADAPTERS.get(config.adapter || config.id.replace(/^int-/, "")) || null;
+}
+
+// Adapters declared with adapterScript are loaded before polling starts
+async function loadIntegrationAdapters() {
+  const pending = OPM.integrationConfigs.filter(cfg => cfg.adapterScript && !getIntegrationAdapter(cfg));
+  await Promise.all(pending.map(cfg => new Promise(resolve => {
+    const script = document.createElement("script");
+    script.src = cfg.adapterScript;
+    script.onload = resolve;
+    script.onerror = () => {
+      console.warn(`Integration ${cfg.name}: could not load ${cfg.adapterScript}`);
+      resolve();
+    };
+    document.head.appendChild(script);
+  })));
+}
+
+function getIntegrationFieldSchema(config) {
+  const secrets = INTEGRATION_AUTH_TYPES[config.authType]?.fields || [];
+  return Object.entries(config.fields || {}).map(([key, spec]) => {
+    const desc = spec !== null && typeof spec === "object" ? spec : { default: spec };
+    const credential = secrets.includes(key);
+    const type = desc.type || (credential ? "password" : typeof desc.default === "number" ? "number" : "text");
+    return {
+      key,
+      label: desc.label || key,
+      type,
+      secret: desc.secret ?? type === "password",
+      default: desc.default ?? "",
+      required: desc.required ?? credential,
+      help: desc.help || "",
+      placeholder: desc.placeholder || ""
+    };
+  });
+}
+
+function getIntegrationConfigs() {
+  const overrides = new Map((OPM.db?.integrations || []).map(o => [o.id, o]));
+  return OPM.integrationConfigs.map(cfg => {
+    const override = overrides.get(cfg.id) || {};
+    const fieldSchema = getIntegrationFieldSchema(cfg);
+    const defaults = Object.fromEntries(fieldSchema.map(f => [f.key, f.default]));
+    return { ...cfg, ...override, fieldSchema, fields: { ...defaults, ...override.fields, ...getIntegrationSecrets(cfg.id) } };
+  });
+}
+
+function integrationAuthHeaders(config) {
+  const type = INTEGRATION_AUTH_TYPES[config.authType];
+  if (!type) return {};
+
+  const missing = config.fieldSchema
+    ? config.fieldSchema.filter(f => type.fields.includes(f.key) && !config.fields[f.key]).map(f => f.label)
+    : type.fields.filter(key => !config.fields[key]);
+  if (missing.length) throw new Error(`Missing credentials: ${missing.join(", ")}`);
+  return type.headers(config.fields, config.auth);
+}
+
+// The request function handed to adapter.poll
+function createIntegrationRequest(config) {
+  const auth = integrationAuthHeaders(config);
+  return (url, { headers = {} } = {}) => integrationRequest(url, { headers: { ...auth, ...headers } });
+}
+
+// Dashboard services an adapter reports on, shaped like status page configs
+function getIntegrationServiceConfigs() {
+  if (!isIntegrationPollingEnabled()) return [];
+  return getIntegrationConfigs()
+    .filter(config => config.enabled !== false)
+    .flatMap(config => (getIntegrationAdapter(config)?.services?.(config) || []).map(svc => ({
+      env: "all",
+      enabled: true,
+      api: "",
+      ...svc,
+      integrationId: config.id
+    })));
+}
+
+function isIntegrationPollingEnabled() {
+  return !!OPM.db?.featureFlags?.enableIntegrationPolling;
+}
+
+function resolveIntegrationUrl(url) {
+  const base = (OPM.settings.integrationBaseUrl || "").trim();
+  if (!base) return url;
+  const parsed = new URL(url);
+  return `${base.replace(/\/+$/, "")}${parsed.pathname}${parsed.search}`;
+}
+
+async function integrationRequest(url, { headers = {} } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), INTEGRATION_TIMEOUT_MS);
+  try {
+    const res = await fetch(resolveIntegrationUrl(url), {
+      headers: { Accept: "application/json", ...headers },
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const err = new Error(res.status === 401 || res.status === 403 ? "Authentication failed" : `HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return await res.json();
+  } catch (err) {
+    if (err.name === "AbortError") throw new Error("Timed out");
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Callers that overlap (widget refreshes, the poll timer) share one request
+function refreshIntegration(id) {
+  if (OPM.integrationInFlight.has(id)) return OPM.integrationInFlight.get(id);
+  const poll = pollIntegration(id).finally(() => OPM.integrationInFlight.delete(id));
+  OPM.integrationInFlight.set(id, poll);
+  return poll;
+}
+
+async function pollIntegration(id) {
+  const config = getIntegrationConfigs().find(c => c.id === id);
+  const adapter = config && getIntegrationAdapter(config);
+  if (!adapter) return null;
+
+  const prev = OPM.integrationState[id] || { failures: 0 };
+  if (needsVaultUnlock(config)) {
+    OPM.integrationState[id] = { ...prev, status: "error", error: "Secrets locked", lastChecked: Date.now() };
+    renderIntegrationKpi(config, OPM.integrationState[id]);
+    // Ask admins once per page load; the Settings view has an Unlock button too
+    if (!OPM.vaultPrompted && can("manageIntegrations")) {
+      OPM.vaultPrompted = true;
+      requestVaultUnlock(`${config.name} needs its credentials.`).then(ok => ok && startIntegrationPolling());
+    }
+    return OPM.integrationState[id];
+  }
+  renderIntegrationKpi(config, { ...prev, status: "loading" });
+
+  try {
+    const result = await adapter.poll(config, createIntegrationRequest(config));
+    if (prev.status === "error") logEvent("integration", `${config.name}: recovered`);
+    OPM.integrationState[id] = { status: "ok", result, failures: 0, error: null, lastChecked: Date.now() };
+    ensureDBShape();
+    OPM.db.analyticsCache.integrationActivity[config.name] = result.count;
+    recordIntegrationServices(config, result.services || []);
+  } catch (err) {
+    console.warn(`Integration ${config.name} failed:`, err);
+    if (prev.status !== "error") logEvent("integration", `${config.name}: ${err.message}`);
+    OPM.integrationState[id] = { ...prev, status: "error", failures: prev.failures + 1, error: err.message, lastChecked: Date.now() };
+    recordIntegrationServices(config, [], `${config.name} unreachable: ${err.message}`);
+  }
+
+  renderIntegrationKpi(config, OPM.integrationState[id]);
+  renderIntegrationsTableAdmin();
+  return OPM.integrationState[id];
+}
+
+// Push service statuses from a poll into the same store/history/alert path
+// as status pages. Services the poll did not mention become unknown.
+function recordIntegrationServices(config, statuses, fallbackMessage = "No data in last poll") {
+  getIntegrationServiceConfigs()
+    .filter(svc => svc.integrationId === config.id && OPM.widgets[svc.id])
+    .forEach(svc => {
+      const status = statuses.find(s => s.id === svc.id) || { level: "unknown", message: fallbackMessage, error: true };
+      recordServiceStatus(svc.id, svc.name, { ...status, provider: config.name });
+    });
+  updateOverviewCounts();
+}
+
+function startIntegrationPolling() {
+  stopIntegrationPolling();
+  const configs = getIntegrationConfigs();
+  configs.forEach(config => renderIntegrationKpi(config, OPM.integrationState[config.id]));
+  if (!isIntegrationPollingEnabled()) return;
+
+  configs
+    .filter(config => config.enabled !== false && getIntegrationAdapter(config))
+    .forEach(config => scheduleIntegration(config.id, 0));
+}
+
+function stopIntegrationPolling() {
+  Object.values(OPM.integrationTimers).forEach(clearTimeout);
+  OPM.integrationTimers = {};
+}
+
+function scheduleIntegration(id, delaySec) {
+  const handle = setTimeout(async () => {
+    await refreshIntegration(id);
+    // Polling was stopped or restarted while the request was in flight
+    if (OPM.integrationTimers[id] !== handle) return;
+
+    const config = getIntegrationConfigs().find(c => c.id === id);
+    if (!config || config.enabled === false || !isIntegrationPollingEnabled()) return;
+    scheduleIntegration(id, computeNextDelay(config.pollInterval || 60, OPM.integrationState[id]?.failures || 0));
+  }, delaySec * 1000);
+  OPM.integrationTimers[id] = handle;
+}
+
+// Adapters without their own tile in index.html get one generated
+function getIntegrationKpiIds(config, adapter) {
+  return {
+    tile: adapter.kpi?.tile || `kpi-${config.id}`,
+    value: adapter.kpi?.value || `kpi-${config.id}-value`,
+    refreshButton: adapter.refreshButton || `refresh-${config.id}`
+  };
+}
+
+function ensureIntegrationKpiTile(config, ids) {
+  const grid = document.querySelector(".kpi-grid");
+  if (grid && !document.getElementById(ids.tile)) {
+    const tile = document.createElement("article");
+    tile.className = "kpi-card";
+    tile.id = ids.tile;
+    tile.setAttribute("role", "button");
+    tile.tabIndex = 0;
+    tile.setAttribute("aria-label", `${config.name} KPI`);
+    tile.innerHTML = `
+      <div class="kpi-label">${escapeHtml(config.name)}</div>
+      <div class="kpi-value" id="${escapeHtml(ids.value)}">0</div>
+      <div class="kpi-sub">${escapeHtml(config.description || "")}</div>
+    `;
+    grid.appendChild(tile);
+  }
+
+  const actions = document.querySelector(".kpi-actions");
+  if (actions && !document.getElementById(ids.refreshButton)) {
+    const btn = document.createElement("button");
+    btn.id = ids.refreshButton;
+    btn.className = "btn btn-ghost btn-compact";
+    btn.type = "button";
+    btn.textContent = `Refresh ${config.name}`;
+    actions.appendChild(btn);
+  }
+}
+
+function renderIntegrationKpi(config, state) {
+  const adapter = getIntegrationAdapter(config);
+  const ids = adapter && getIntegrationKpiIds(config, adapter);
+  const tile = ids && document.getElementById(ids.tile);
+  if (!tile) return;
+
+  const value = document.getElementById(ids.value);
+  const sub = tile.querySelector(".kpi-sub");
+  tile.classList.remove("kpi-card--ok", "kpi-card--warn", "kpi-card--down", "kpi-card--error", "kpi-card--off");
+
+  if (!isIntegrationPollingEnabled() || config.enabled === false) {
+    value.textContent = "–";
+    sub.textContent = config.enabled === false ? "Integration disabled" : "Polling off";
+    tile.classList.add("kpi-card--off");
+    return;
+  }
+  if (!state?.result && state?.status !== "error") {
+    value.textContent = "…";
+    return;
+  }
+  if (state.status === "error") {
+    value.textContent = state.result ? String(state.result.value ?? state.result.count) : "!";
+    sub.textContent = state.error;
+    tile.classList.add("kpi-card--error");
+  } else {
+    value.textContent = String(state.result.value ?? state.result.count);
+    sub.textContent = state.result.sub;
+    tile.classList.add(`kpi-card--${state.result.tone}`);
+  }
+  tile.title = `Last checked ${formatTs(state.lastChecked)}`;
+}
+
+function openIntegrationDrilldown(id) {
+  const config = getIntegrationConfigs().find(c => c.id === id);
+  const modal = document.getElementById("integrationModal");
+  if (!config || !modal) return;
+
+  const state = OPM.integrationState[id];
+  const list = document.getElementById("integrationModalList");
+  document.getElementById("integrationModalTitle").textContent = config.name;
+  document.getElementById("integrationModalSummary").textContent = !isIntegrationPollingEnabled()
+    ? "Integration polling is off (feature flag enableIntegrationPolling)."
+    : state?.status === "error"
+      ? `Last poll failed: ${state.error}`
+      : state?.result?.summary || "Not polled yet.";
+
+  const items = state?.result?.items || [];
+  list.innerHTML = items.length
+    ? items.map(item => `
+        <li class="integration-item integration-item--${escapeHtml(item.status)}">
+          <div class="integration-item-title">
+            ${item.url ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}
+          </div>
+          <div class="muted small">
+            ${[item.status, item.severity, item.service, item.ts ? formatTs(item.ts) : ""].filter(Boolean).map(escapeHtml).join(" · ")}
+          </div>
+        </li>
+      `).join("")
+    : `<li class="empty-state">Nothing open right now.</li>`;
+
+  modal.hidden = false;
+  document.getElementById("integrationOverlay").hidden = false;
+}
+
+function closeIntegrationDrilldown() {
+  document.getElementById("integrationModal").hidden = true;
+  document.getElementById("integrationOverlay").hidden = true;
+}
+
+function bindIntegrationEvents() {
+  getIntegrationConfigs().forEach(config => {
+    const adapter = getIntegrationAdapter(config);
+    if (!adapter) return;
+
+    const ids = getIntegrationKpiIds(config, adapter);
+    ensureIntegrationKpiTile(config, ids);
+
+    document.getElementById(ids.refreshButton)?.addEventListener("click", () => {
+      if (!isIntegrationPollingEnabled()) {
+        showPopupAlert("Integration polling is off. Turn on the enableIntegrationPolling feature flag.");
+        return;
+      }
+      if (getIntegrationConfigs().find(c => c.id === config.id)?.enabled === false) {
+        showPopupAlert(`${config.name} is disabled. Enable it under Admin → Integrations.`);
+        return;
+      }
+      refreshIntegration(config.id);
+    });
+
+    const tile = document.getElementById(ids.tile);
+    if (tile) {
+      tile.addEventListener("click", () => openIntegrationDrilldown(config.id));
+      tile.addEventListener("keydown", e => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          openIntegrationDrilldown(config.id);
+        }
+      });
+    }
+  });
+
+  ["closeIntegrationModalBtn", "closeIntegrationModalBtn2"].forEach(id => {
+    document.getElementById(id)?.addEventListener("click", closeIntegrationDrilldown);
+  });
+}
+
+/* ----------------------------------------------------------------
+   INTEGRATION EDITOR
+   The form is built from each integration's field schema. Saved
+   values are stored as a minimal override in OPM.db.integrations
+   (only what differs from config/integrations.json).
+------------------------------------------------------------------- */
+
+const INTEGRATION_INPUT_TYPES = ["text", "password", "number", "url"];
+
+async function openIntegrationEditor(id) {
+  let config = getIntegrationConfigs().find(c => c.id === id);
+  const modal = document.getElementById("integrationEditModal");
+  const form = document.getElementById("integrationEditForm");
+  if (!config || !modal || !form) return;
+
+  if (config.fieldSchema.some(f => f.secret) && !isVaultUnlocked()) {
+    if (!(await requestVaultUnlock(`Editing ${config.name} needs access to stored credentials.`))) return;
+    config = getIntegrationConfigs().find(c => c.id === id);
+  }
+
+  form.reset();
+  form.elements.id.value = config.id;
+  form.elements.pollInterval.value = config.pollInterval || "";
+  form.elements.enabled.checked = config.enabled !== false;
+
+  document.getElementById("integrationFieldList").innerHTML = config.fieldSchema.map(f => {
+    const type = INTEGRATION_INPUT_TYPES.includes(f.type) ? f.type : "text";
+    return `
+      <label class="field">
+        <span class="field-label">${escapeHtml(f.label)}${f.required ? " *" : ""}</span>
+        <input
+          name="field-${escapeHtml(f.key)}"
+          class="input"
+          type="${type}"
+          value="${escapeHtml(String(config.fields[f.key] ?? ""))}"
+          placeholder="${escapeHtml(f.placeholder)}"
+          autocomplete="${type === "password" ? "new-password" : "off"}"
+        />
+        ${f.help ? `<span class="muted small">${escapeHtml(f.help)}</span>` : ""}
+      </label>
+    `;
+  }).join("") || `<p class="muted small">This integration has no settings.</p>`;
+
+  document.getElementById("integrationEditModalTitle").textContent = `${config.name} settings`;
+  document.getElementById("integrationEditDescription").textContent =
+    `${config.description || ""}${config.authType ? ` Auth: ${config.authType}.` : ""}`.trim();
+  renderIntegrationFormErrors([]);
+  document.getElementById("integrationTestResult").innerHTML = "";
+
+  modal.hidden = false;
+  document.getElementById("integrationEditOverlay").hidden = false;
+  form.querySelector("input:not([type='hidden'])")?.focus();
+}
+
+function closeIntegrationEditor() {
+  document.getElementById("integrationEditModal").hidden = true;
+  document.getElementById("integrationEditOverlay").hidden = true;
+}
+
+function renderIntegrationFormErrors(errors) {
+  const box = document.getElementById("integrationEditErrors");
+  if (!box) return;
+  box.hidden = !errors.length;
+  box.innerHTML = errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+}
+
+function readIntegrationForm(form, config) {
+  const fields = {};
+  config.fieldSchema.forEach(f => {
+    const raw = String(form.elements[`field-${f.key}`]?.value ?? "").trim();
+    fields[f.key] = f.type === "number" ? (raw === "" ? f.default : Number(raw)) : raw;
+  });
+
+  const interval = form.elements.pollInterval.value.trim();
+  return {
+    id: config.id,
+    enabled: form.elements.enabled.checked,
+    pollInterval: interval === "" ? null : Number(interval),
+    fields
+  };
+}
+
+function validateIntegrationSettings(values, config) {
+  const errors = [];
+  if (values.pollInterval !== null && !(Number.isInteger(values.pollInterval) && values.pollInterval >= MIN_INTEGRATION_INTERVAL_SEC)) {
+    errors.push(`Poll interval must be a whole number of at least ${MIN_INTEGRATION_INTERVAL_SEC} seconds.`);
+  }
+  config.fieldSchema.forEach(f => {
+    const value = values.fields[f.key];
+    if (f.type === "number" && value !== "" && value !== null && !Number.isFinite(value)) {
+      errors.push(`${f.label} must be a number.`);
+    }
+    // Incomplete credentials can be saved as long as the integration stays off
+    if (values.enabled && f.required && (value === "" || value === null || value === undefined)) {
+      errors.push(`${f.label} is required.`);
+    }
+  });
+  return errors;
+}
+
+// Only what differs from the config file entry is stored; secret
+// fields go to the vault instead (see SECRET VAULT)
+function toIntegrationOverride(values, configEntry) {
+  const schema = getIntegrationFieldSchema(configEntry);
+  const defaults = Object.fromEntries(schema.map(f => [f.key, f.default]));
+  const override = { id: configEntry.id };
+
+  if (values.enabled !== (configEntry.enabled !== false)) override.enabled = values.enabled;
+  if (values.pollInterval && values.pollInterval !== configEntry.pollInterval) override.pollInterval = values.pollInterval;
+
+  const { plain } = splitSecretFields(values.fields || {}, schema);
+  const fields = Object.fromEntries(Object.entries(plain).filter(([key, value]) => value !== defaults[key]));
+  if (Object.keys(fields).length) override.fields = fields;
+  return override;
+}
+
+// Secret fields appear by name only
+function integrationAuditSnapshot(id) {
+  const config = getIntegrationConfigs().find(c => c.id === id);
+  if (!config) return null;
+  const { secrets, plain } = splitSecretFields(config.fields || {}, config.fieldSchema);
+  return {
+    enabled: config.enabled !== false,
+    pollInterval: config.pollInterval,
+    fields: plain,
+    credentials: Object.keys(secrets).sort()
+  };
+}
+
+function saveIntegrationSettings(values) {
+  const configEntry = OPM.integrationConfigs.find(c => c.id === values.id);
+  if (!configEntry) return;
+
+  ensureDBShape();
+  const before = integrationAuditSnapshot(values.id);
+  const override = toIntegrationOverride(values, configEntry);
+  OPM.db.integrations = OPM.db.integrations.filter(o => o.id !== values.id);
+  if (Object.keys(override).length > 1) OPM.db.integrations.push(override);
+  saveDB();
+  recordAudit("update", { type: "integration", id: values.id, name: configEntry.name }, before, integrationAuditSnapshot(values.id));
+
+  restartIntegration(values.id);
+  renderIntegrationsTableAdmin();
+  // Enabled state and fields (e.g. a main pipeline) decide which widgets exist
+  refreshServiceViews();
+}
+
+function restartIntegration(id) {
+  clearTimeout(OPM.integrationTimers[id]);
+  delete OPM.integrationTimers[id];
+
+  const config = getIntegrationConfigs().find(c => c.id === id);
+  if (!config) return;
+  if (config.enabled === false) delete OPM.integrationState[id];
+  renderIntegrationKpi(config, OPM.integrationState[id]);
+
+  if (config.enabled !== false && isIntegrationPollingEnabled() && getIntegrationAdapter(config)) {
+    scheduleIntegration(id, 0);
+  }
+}
+
+// One poll with the values in the form, without saving or recording anything
+async function testIntegrationConnection(config) {
+  const adapter = getIntegrationAdapter(config);
+  const started = Date.now();
+  if (!adapter) return { ok: false, error: "No adapter registered", ms: 0 };
+
+  try {
+    const result = await adapter.poll(config, createIntegrationRequest(config));
+    return { ok: true, result, ms: Date.now() - started };
+  } catch (err) {
+    return { ok: false, error: err.message, ms: Date.now() - started };
+  }
+}
+
+async function testIntegrationForm() {
+  const form = document.getElementById("integrationEditForm");
+  const out = document.getElementById("integrationTestResult");
+  const config = getIntegrationConfigs().find(c => c.id === form.elements.id.value);
+  if (!config) return;
+
+  const values = readIntegrationForm(form, config);
+  const errors = validateIntegrationSettings({ ...values, enabled: true }, config);
+  if (errors.length) {
+    renderIntegrationFormErrors(errors);
+    return;
+  }
+  renderIntegrationFormErrors([]);
+
+  out.textContent = "Connecting…";
+  const test = await testIntegrationConnection({ ...config, ...values, fields: values.fields });
+  const details = test.ok
+    ? [
+      ["Result", "Connected"],
+      ["KPI", test.result.value ?? test.result.count],
+      ["Summary", test.result.summary || "-"],
+      ["Items", test.result.items?.length ?? 0],
+      ["Took", `${test.ms} ms`]
+    ]
+    : [["Result", "Failed"], ["Error", test.error], ["Took", `${test.ms} ms`]];
+
+  out.innerHTML = `
+    <dl class="test-result test-result--${test.ok ? "ok" : "down"}">
+      ${details.map(([k, v]) => `<dt>${k}</dt><dd>${escapeHtml(String(v))}</dd>`).join("")}
+    </dl>
+  `;
+}
+
+function bindIntegrationEditorEvents() {
+  const form = document.getElementById("integrationEditForm");
+  if (!form) return;
+
+  document.getElementById("integrationTestBtn")?.addEventListener("click", testIntegrationForm);
+  ["closeIntegrationEditBtn", "cancelIntegrationEditBtn"].forEach(id => {
+    document.getElementById(id)?.addEventListener("click", closeIntegrationEditor);
+  });
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+    if (!requirePermission("manageIntegrations", "saving integrations")) return;
+    const config = getIntegrationConfigs().find(c => c.id === form.elements.id.value);
+    if (!config) return;
+
+    const values = readIntegrationForm(form, config);
+    const errors = validateIntegrationSettings(values, config);
+    if (errors.length) {
+      renderIntegrationFormErrors(errors);
+      return;
+    }
+
+    if (config.fieldSchema.some(f => f.secret)) {
+      try {
+        await storeIntegrationSecrets(config.id, splitSecretFields(values.fields, config.fieldSchema).secrets);
+      } catch (err) {
+        renderIntegrationFormErrors([err.message]);
+        return;
+      }
+    }
+    saveIntegrationSettings(values);
+    closeIntegrationEditor();
+  });
+}
+
+/* ----------------------------------------------------------------
+   SECRET VAULT
+   Secret integration fields (password inputs, e.g. API keys and PATs)
+   and outbound channel webhook URLs never go into OPM.db. They are kept under their own localStorage
+   key, encrypted with AES-GCM under a key derived from a passphrase
+   (PBKDF2-SHA-256), and only exist decrypted in memory
+   (OPM.secrets) while the vault is unlocked. Snapshots, exports and
+   logs are built from OPM.db, so they never see them.
+------------------------------------------------------------------- */
+
+const VAULT_STORAGE_KEY = "opm-secrets";
+const VAULT_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE = 8;
+
+function isVaultSupported() {
+  return typeof crypto !== "undefined" && !!crypto.subtle;
+}
+
+function readVaultBlob() {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY)) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function isVaultUnlocked() {
+  return !!OPM.vault;
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptVault(secrets, { key, salt, iterations }) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+  return {
+    version: 1,
+    kdf: "PBKDF2-SHA-256",
+    iterations,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(data))
+  };
+}
+
+async function decryptVault(blob, passphrase) {
+  const salt = base64ToBytes(blob.salt);
+  const key = await deriveVaultKey(passphrase, salt, blob.iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(blob.iv) }, key, base64ToBytes(blob.data));
+  } catch (_) {
+    // GCM authentication fails for a wrong key and for tampered data alike
+    throw new Error("Wrong passphrase");
+  }
+  return { vault: { key, salt, iterations: blob.iterations }, secrets: JSON.parse(new TextDecoder().decode(plain)) };
+}
+
+async function persistVault() {
+  localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(await encryptVault(OPM.secrets, OPM.vault)));
+}
+
+// Creates the vault on first use, otherwise unlocks it
+async function openVault(passphrase) {
+  if (!isVaultSupported()) throw new Error("Encrypted storage needs a secure context (https or localhost).");
+
+  const blob = readVaultBlob();
+  if (blob) {
+    const { vault, secrets } = await decryptVault(blob, passphrase);
+    OPM.vault = vault;
+    OPM.secrets = secrets;
+  } else {
+    if (passphrase.length < VAULT_MIN_PASSPHRASE) throw new Error(`Use at least ${VAULT_MIN_PASSPHRASE} characters.`);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    OPM.vault = { key: await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS), salt, iterations: VAULT_ITERATIONS };
+    OPM.secrets = {};
+  }
+
+  // Secrets taken out of an older cleartext DB are kept from here on.
+  // The stored DB keeps its copy until the vault has been written.
+  const pending = Object.keys(OPM.pendingSecrets);
+  pending.forEach(id => {
+    OPM.secrets[id] = { ...OPM.pendingSecrets[id], ...OPM.secrets[id] };
+  });
+  if (pending.length || !blob) await persistVault();
+  if (!pending.length) return;
+  OPM.pendingSecrets = {};
+  saveDB();
+}
+
+function lockVault() {
+  OPM.vault = null;
+  OPM.secrets = null;
+}
 
-    const text = await res.text();
-    return normalizeHtmlStatus(text);
-  } catch {
-    return { level: "unknown", message: "Unreachable / offline" };
-  }
+function resetVault() {
+  localStorage.removeItem(VAULT_STORAGE_KEY);
+  lockVault();
+  OPM.pendingSecrets = {};
 }
 
-function normalizeJsonStatus(json) {
-  if (json.status) {
-    return {
-      level: mapStatus(json.status),
-      message: json.status_description || "Status received"
-    };
-  }
-  return { level: "unknown", message: "Unknown JSON format" };
+function getIntegrationSecrets(id) {
+  return { ...OPM.pendingSecrets[id], ...OPM.secrets?.[id] };
 }
 
-function normalizeRssStatus(xmlText) {
-  if (xmlText.includes("<item>")) {
-    return { level: "warning", message: "Recent RSS incident" };
-  }
-  return { level: "ok", message: "No recent incidents" };
+function splitSecretFields(fields, fieldSchema) {
+  const secretKeys = new Set(fieldSchema.filter(f => f.secret).map(f => f.key));
+  const secrets = {};
+  const plain = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (!secretKeys.has(key)) plain[key] = value;
+    else if (value !== "" && value != null) secrets[key] = value;
+  });
+  return { secrets, plain };
 }
 
-function normalizeHtmlStatus(html) {
-  if (/degrad|incident|partial/i.test(html)) {
-    return { level: "warning", message: "Possible degradation" };
+async function storeIntegrationSecrets(id, secrets) {
+  if (!isVaultUnlocked()) throw new Error("Unlock the secrets vault first.");
+  const previous = OPM.secrets[id] || {};
+  if (Object.keys(secrets).length) OPM.secrets[id] = secrets;
+  else delete OPM.secrets[id];
+  await persistVault();
+
+  // The trail only learns which credentials changed, never their values
+  const changed = [...new Set([...Object.keys(previous), ...Object.keys(secrets)])].filter(k => previous[k] !== secrets[k]);
+  if (changed.length) {
+    const name = OPM.integrationConfigs.find(c => c.id === id)?.name;
+    recordAudit(
+      "update",
+      { type: "integration", id, name },
+      { credentials: Object.fromEntries(changed.map(k => [k, previous[k] ? "set" : "not set"])) },
+      { credentials: Object.fromEntries(changed.map(k => [k, !secrets[k] ? "removed" : previous[k] ? "replaced" : "set"])) }
+    );
   }
-  return { level: "ok", message: "Looks operational" };
 }
 
-function mapStatus(s) {
-  s = s.toLowerCase();
-  if (s.includes("operational") || s.includes("ok")) return "ok";
-  if (s.includes("partial") || s.includes("minor") || s.includes("degrad")) return "warning";
-  if (s.includes("major") || s.includes("down") || s.includes("critical")) return "major";
-  return "unknown";
+// Locked = secrets exist but cannot be read yet
+function needsVaultUnlock(config) {
+  return !isVaultUnlocked() &&
+    !!readVaultBlob() &&
+    config.fieldSchema.some(f => f.secret) &&
+    !Object.keys(OPM.pendingSecrets[config.id] || {}).length;
 }
 
-/* ----------------------------------------------------------------
-   OVERVIEW COUNTS
-------------------------------------------------------------------- */
+// DBs saved before the vault existed may hold credentials in cleartext.
+// They are taken out of OPM.db right away, so nothing built from it sees
+// them, but saveDB writes them back (withPendingSecrets) until openVault
+// has stored them in the vault.
+function migratePlaintextSecrets() {
+  ensureDBShape();
+  let moved = 0;
+  OPM.db.integrations.forEach(override => {
+    const entry = OPM.integrationConfigs.find(c => c.id === override.id);
+    if (!entry || !override.fields) return;
+
+    const { secrets, plain } = splitSecretFields(override.fields, getIntegrationFieldSchema(entry));
+    if (!Object.keys(secrets).length) return;
+    OPM.pendingSecrets[override.id] = secrets;
+    override.fields = plain;
+    moved += Object.keys(secrets).length;
+  });
+  OPM.db.notificationChannels.forEach(channel => {
+    if (!channel.url) return;
+    OPM.pendingSecrets[channelSecretId(channel.id)] = { url: channel.url };
+    channel.urlMasked = maskWebhookUrl(channel.url);
+    delete channel.url;
+    moved += 1;
+  });
+  if (!moved) return;
 
-function updateOverviewCounts() {
-  const opEl = document.getElementById("countOperational");
-  const warnEl = document.getElementById("countWarning");
-  const downEl = document.getElementById("countDown");
-  const unkEl = document.getElementById("countUnknown");
+  logEvent("system", `Found ${moved} cleartext secret(s) in the database; they are removed once the secrets vault is unlocked`);
+}
 
-  if (!opEl || !warnEl || !downEl || !unkEl) return;
+function withPendingSecrets(db) {
+  const pending = OPM.pendingSecrets;
+  if (!Object.keys(pending).length) return db;
+  return {
+    ...db,
+    integrations: db.integrations.map(o => (pending[o.id] ? { ...o, fields: { ...o.fields, ...pending[o.id] } } : o)),
+    notificationChannels: db.notificationChannels.map(c => {
+      const secret = pending[channelSecretId(c.id)];
+      return secret ? { ...c, url: secret.url } : c;
+    })
+  };
+}
+
+function redactSecrets(text) {
+  const values = [OPM.secrets, OPM.pendingSecrets]
+    .flatMap(store => Object.values(store || {}))
+    .flatMap(fields => Object.values(fields))
+    .filter(v => typeof v === "string" && v.length >= 4);
+  return values.reduce((out, value) => out.split(value).join("[redacted]"), String(text));
+}
 
-  let ok = 0, warn = 0, down = 0, unknown = 0;
+let vaultRequest = null;
+
+// Resolves true once unlocked, false if the user cancels
+function requestVaultUnlock(reason = "") {
+  if (isVaultUnlocked()) return Promise.resolve(true);
+  if (vaultRequest) return vaultRequest;
+
+  const modal = document.getElementById("vaultModal");
+  const form = document.getElementById("vaultForm");
+  if (!modal || !form) return Promise.resolve(false);
+
+  const creating = !readVaultBlob();
+  form.reset();
+  form.elements.confirm.closest(".field").hidden = !creating;
+  document.getElementById("vaultModalTitle").textContent = creating ? "Set a secrets passphrase" : "Unlock integration secrets";
+  document.getElementById("vaultMessage").textContent = [
+    reason,
+    creating
+      ? "Integration credentials and webhook URLs are encrypted in this browser with this passphrase. It cannot be recovered; if you lose it, reset the vault and re-enter them."
+      : "Enter the passphrase used to encrypt integration credentials and webhook URLs."
+  ].filter(Boolean).join(" ");
+  renderVaultErrors([]);
+
+  modal.hidden = false;
+  document.getElementById("vaultOverlay").hidden = false;
+  form.elements.passphrase.focus();
+
+  vaultRequest = new Promise(resolve => {
+    const finish = ok => {
+      form.removeEventListener("submit", onSubmit);
+      document.getElementById("cancelVaultBtn").removeEventListener("click", onCancel);
+      modal.hidden = true;
+      document.getElementById("vaultOverlay").hidden = true;
+      vaultRequest = null;
+      renderVaultStatus();
+      resolve(ok);
+    };
+    const onCancel = () => finish(false);
+    const onSubmit = async e => {
+      e.preventDefault();
+      const passphrase = form.elements.passphrase.value;
+      if (creating && passphrase !== form.elements.confirm.value) {
+        renderVaultErrors(["Passphrases do not match."]);
+        return;
+      }
+      try {
+        renderVaultErrors([]);
+        form.querySelector("[type='submit']").disabled = true;
+        await openVault(passphrase);
+        finish(true);
+      } catch (err) {
+        renderVaultErrors([err.message]);
+      } finally {
+        form.querySelector("[type='submit']").disabled = false;
+      }
+    };
+    form.addEventListener("submit", onSubmit);
+    document.getElementById("cancelVaultBtn").addEventListener("click", onCancel);
+  });
+  return vaultRequest;
+}
 
-  for (const id in OPM.widgets) {
-    const descEl = document.getElementById(`desc-${id}`);
-    const desc = (descEl?.textContent || "").toLowerCase();
+function renderVaultErrors(errors) {
+  const box = document.getElementById("vaultErrors");
+  if (!box) return;
+  box.hidden = !errors.length;
+  box.innerHTML = errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+}
 
-    if (desc.includes("ok") || desc.includes("operational")) ok++;
-    else if (desc.includes("warn") || desc.includes("degrad")) warn++;
-    else if (desc.includes("major") || desc.includes("down")) down++;
-    else unknown++;
-  }
+function renderVaultStatus() {
+  const label = document.getElementById("vaultStatusLabel");
+  if (!label) return;
+
+  const exists = !!readVaultBlob();
+  label.textContent = !isVaultSupported()
+    ? "Unavailable: needs https or localhost"
+    : isVaultUnlocked()
+      ? `Unlocked · ${Object.keys(OPM.secrets).length} integration(s) or channel(s) with stored secrets`
+      : exists ? "Locked" : "No passphrase set";
+
+  document.getElementById("vaultUnlockBtn").textContent = exists ? "Unlock" : "Set passphrase";
+  document.getElementById("vaultUnlockBtn").hidden = isVaultUnlocked();
+  document.getElementById("vaultLockBtn").hidden = !isVaultUnlocked();
+  document.getElementById("vaultResetBtn").hidden = !exists;
+}
 
-  opEl.textContent = ok;
-  warnEl.textContent = warn;
-  downEl.textContent = down;
-  unkEl.textContent = unknown;
+function bindVaultEvents() {
+  document.getElementById("vaultUnlockBtn")?.addEventListener("click", async () => {
+    if (!requirePermission("manageIntegrations", "unlocking secrets")) return;
+    if (await requestVaultUnlock()) startIntegrationPolling();
+  });
+  document.getElementById("vaultLockBtn")?.addEventListener("click", () => {
+    if (!requirePermission("manageIntegrations", "locking secrets")) return;
+    lockVault();
+    renderVaultStatus();
+    startIntegrationPolling();
+    logEvent("admin", "Secrets vault locked");
+    recordAudit("update", { type: "vault", id: VAULT_STORAGE_KEY, name: "Integration secrets" }, { unlocked: true }, { unlocked: false });
+  });
+  document.getElementById("vaultResetBtn")?.addEventListener("click", () => {
+    if (!requirePermission("manageIntegrations", "resetting secrets")) return;
+    if (!confirm("Delete all stored integration secrets and webhook URLs? Integrations and channels will need them again.")) return;
+    const before = { stored: !!readVaultBlob() };
+    resetVault();
+    renderVaultStatus();
+    startIntegrationPolling();
+    recordAudit("clear", { type: "vault", id: VAULT_STORAGE_KEY, name: "Integration secrets" }, before, { stored: false });
+  });
+  renderVaultStatus();
 }
 
 /* ----------------------------------------------------------------
-   AUTO-REFRESH ENGINE
+   INTEGRATION: PAGERDUTY
+   REST API v2. Open = triggered or acknowledged; the on-call person is
+   the lowest escalation level returned by /oncalls?earliest=true.
 ------------------------------------------------------------------- */
 
-function startAutoRefresh() {
-  if (OPM.settings.refreshInterval > 0) {
-    OPM.autoRefreshTimer = setInterval(refreshAllWidgets, OPM.settings.refreshInterval * 1000);
+registerIntegrationAdapter("pagerduty", {
+  kpi: { tile: "kpiPager", value: "kpiPagerVal" },
+  refreshButton: "pdRefresh",
+
+  async poll(config, request) {
+    const headers = { Accept: "application/vnd.pagerduty+json;version=2" };
+    const params = new URLSearchParams([["statuses[]", "triggered"], ["statuses[]", "acknowledged"], ["limit", "100"]]);
+    if (config.fields.teamId) params.append("team_ids[]", config.fields.teamId);
+    if (config.fields.serviceId) params.append("service_ids[]", config.fields.serviceId);
+
+    const [incidents, oncalls] = await Promise.all([
+      request(`${config.api.incidentList}?${params}`, { headers }),
+      // The KPI still works without on-call data (e.g. key lacks schedule access)
+      request(`${config.api.onCall}?earliest=true`, { headers }).catch(() => null)
+    ]);
+    return normalizePagerDutyResult(incidents, oncalls);
   }
+});
+
+function normalizePagerDutyResult(incidentsJson, oncallsJson) {
+  const items = (incidentsJson?.incidents || [])
+    .filter(i => i.status === "triggered" || i.status === "acknowledged")
+    .map(i => ({
+      id: i.id,
+      title: i.title || i.summary || `Incident ${i.incident_number || i.id}`,
+      status: i.status,
+      severity: i.severity || i.priority?.summary || i.urgency || "",
+      service: typeof i.service === "string" ? i.service : i.service?.summary || "",
+      ts: Date.parse(i.created_at) || null,
+      url: i.html_url || ""
+    }))
+    .sort((a, b) => (a.status === "triggered" ? 0 : 1) - (b.status === "triggered" ? 0 : 1) || (b.ts || 0) - (a.ts || 0));
+
+  const onCall = pickPagerDutyOnCall(oncallsJson);
+  const triggered = items.filter(i => i.status === "triggered").length;
+
+  return {
+    count: items.length,
+    sub: onCall ? `Open incidents · On call: ${onCall.name}` : "Open incidents",
+    tone: triggered ? "down" : items.length ? "warn" : "ok",
+    summary: `${triggered} triggered, ${items.length - triggered} acknowledged · ` +
+      (onCall ? `On call: ${onCall.name}${onCall.policy ? ` (${onCall.policy})` : ""}` : "On-call unavailable"),
+    items,
+    onCall
+  };
 }
 
-function restartAutoRefresh() {
-  if (OPM.autoRefreshTimer) clearInterval(OPM.autoRefreshTimer);
-  startAutoRefresh();
+function pickPagerDutyOnCall(json) {
+  const first = (json?.oncalls || [])
+    .slice()
+    .sort((a, b) => (a.escalation_level ?? Infinity) - (b.escalation_level ?? Infinity))[0];
+  if (!first) return null;
+  return {
+    name: first.user?.summary || first.user?.name || "Unknown",
+    policy: first.escalation_policy?.summary || "",
+    until: Date.parse(first.end) || null
+  };
 }
 
 /* ----------------------------------------------------------------
-   HISTORY SYSTEM
+   INTEGRATION: AZURE DEVOPS
+   Builds API (recent runs per definition) plus the Pipelines list so
+   pipelines without recent runs still show up. Health is the share of
+   succeeded runs among the last `recentRuns` completed, non-canceled
+   runs. If `mainPipeline` is set, that pipeline also gets a dashboard
+   widget next to the vendor status pages.
 ------------------------------------------------------------------- */
 
-function updateHistory(id, name, level, message) {
-  ensureDBShape();
-  const entry = {
-    id: uuid(),
-    widgetId: id,
-    name,
-    level,
-    message,
-    ts: Date.now()
-  };
+const AZDO_FAILED_RESULTS = ["failed", "partiallySucceeded"];
 
-  OPM.db.history.push(entry);
-  saveDB();
+function fillUrlTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => {
+    if (!values[key]) throw new Error(`Missing ${key} setting`);
+    return encodeURIComponent(values[key]);
+  });
+}
 
-  renderRecentAlerts();
+function withQuery(url, params) {
+  const parsed = new URL(url);
+  Object.entries(params).forEach(([key, value]) => parsed.searchParams.set(key, value));
+  return parsed.toString();
 }
 
-function renderRecentAlerts() {
-  const list = document.getElementById("recentAlertsList");
-  if (!list) return;
-  list.innerHTML = "";
+function azdoProjectUrl(fields) {
+  return `https://dev.azure.com/${encodeURIComponent(fields.organization || "")}/${encodeURIComponent(fields.project || "")}`;
+}
 
-  const recent = [...OPM.db.history].slice(-10).reverse();
-  recent.forEach(item => {
-    const div = document.createElement("div");
-    div.className = "history-item";
-    div.textContent = `[${formatTs(item.ts)}] ${item.name}: ${item.message}`;
-    list.appendChild(div);
+registerIntegrationAdapter("azdo", {
+  kpi: { tile: "kpiAdo", value: "kpiAdoVal" },
+  refreshButton: "adoRefresh",
+
+  services(config) {
+    const main = config.fields.mainPipeline;
+    if (!main) return [];
+    return [{
+      id: `${config.id}-main`,
+      name: `${main} pipeline`,
+      category: "DevOps",
+      page: `${azdoProjectUrl(config.fields)}/_build`
+    }];
+  },
+
+  async poll(config, request) {
+    const values = { org: config.fields.organization, project: config.fields.project };
+    const recentRuns = Number(config.fields.recentRuns) || 20;
+
+    const [builds, pipelines] = await Promise.all([
+      request(withQuery(fillUrlTemplate(config.api.buildSummary, values), {
+        $top: 200,
+        maxBuildsPerDefinition: recentRuns,
+        queryOrder: "queueTimeDescending"
+      })),
+      // Only used to list idle pipelines; builds alone are enough for the KPI
+      request(fillUrlTemplate(config.api.pipelineRuns, values)).catch(() => null)
+    ]);
+
+    return normalizeAzureDevOpsResult(builds, pipelines, {
+      recentRuns,
+      mainPipeline: config.fields.mainPipeline,
+      mainServiceId: `${config.id}-main`
+    });
+  }
+});
+
+function normalizeAzureDevOpsResult(buildsJson, pipelinesJson, { recentRuns = 20, mainPipeline = "", mainServiceId = "" } = {}) {
+  const builds = (buildsJson?.value || buildsJson?.builds || [])
+    .map(b => ({
+      id: b.id,
+      number: b.buildNumber || String(b.id),
+      definition: typeof b.definition === "string" ? b.definition : b.definition?.name || "Unknown pipeline",
+      definitionId: typeof b.definition === "object" ? b.definition?.id : null,
+      status: b.status,
+      result: b.result || null,
+      ts: Date.parse(b.finishTime || b.startTime || b.queueTime) || null,
+      branch: (b.sourceBranch || "").replace(/^refs\/heads\//, ""),
+      url: b._links?.web?.href || ""
+    }))
+    .sort((a, b) => (b.ts || 0) - (a.ts || 0));
+
+  const isScored = b => b.status === "completed" && b.result !== "canceled";
+  const isFailed = b => AZDO_FAILED_RESULTS.includes(b.result);
+  const scored = builds.filter(isScored).slice(0, recentRuns);
+  const failed = scored.filter(isFailed).length;
+  const health = scored.length ? Math.round(((scored.length - failed) / scored.length) * 100) : null;
+
+  const byDefinition = new Map();
+  builds.forEach(b => {
+    if (!byDefinition.has(b.definition)) byDefinition.set(b.definition, { runs: [], url: "" });
+    byDefinition.get(b.definition).runs.push(b);
+  });
+  (pipelinesJson?.value || []).forEach(p => {
+    if (!byDefinition.has(p.name)) byDefinition.set(p.name, { runs: [], url: p._links?.web?.href || "" });
   });
+
+  const items = [...byDefinition.entries()]
+    .map(([name, { runs, url }]) => {
+      const latest = runs.find(isScored) || runs[0];
+      const done = runs.filter(isScored).slice(0, recentRuns);
+      return {
+        id: name,
+        title: latest ? `${name} #${latest.number}` : name,
+        status: !latest ? "idle" : latest.status === "completed" ? latest.result : latest.status,
+        severity: done.length ? `${done.filter(isFailed).length}/${done.length} failed` : "no recent runs",
+        service: latest?.branch || "",
+        ts: latest?.ts || null,
+        url: latest?.url || url,
+        failing: !!latest && isFailed(latest)
+      };
+    })
+    .sort((a, b) => Number(b.failing) - Number(a.failing) || a.id.localeCompare(b.id));
+
+  const services = [];
+  let mainFailing = false;
+  if (mainPipeline) {
+    const key = mainPipeline.toLowerCase();
+    const runs = builds.filter(b => b.definition.toLowerCase() === key || String(b.definitionId) === mainPipeline);
+    const latest = runs.find(isScored);
+    mainFailing = !!latest && isFailed(latest);
+    services.push(!latest
+      ? { id: mainServiceId, level: "unknown", message: "No completed runs yet" }
+      : {
+        id: mainServiceId,
+        level: latest.result === "failed" ? "major" : latest.result === "partiallySucceeded" ? "minor" : "operational",
+        message: `#${latest.number} ${latest.result}${latest.branch ? ` on ${latest.branch}` : ""}`,
+        incident: mainFailing ? { title: `${latest.definition} #${latest.number}`, state: latest.result, ts: latest.ts, link: latest.url } : null
+      });
+  }
+
+  return {
+    count: failed,
+    value: health === null ? "–" : `${health}%`,
+    sub: scored.length ? `Build health · ${failed} of last ${scored.length} failed` : "Build health · no completed runs",
+    tone: mainFailing || (health !== null && health < 80) ? "down" : failed ? "warn" : "ok",
+    summary: `${byDefinition.size} pipeline(s) · health ${health === null ? "n/a" : `${health}%`} over the last ${scored.length} run(s)`,
+    items,
+    services
+  };
 }
 
-function openHistoryModal() {
-  const modal   = document.getElementById("historyModal");
-  const overlay = document.getElementById("historyOverlay");
-  if (modal)   modal.hidden = false;
-  if (overlay) overlay.hidden = false;
-  renderHistoryList();
+/* ----------------------------------------------------------------
+   INTEGRATION: NEW RELIC
+   Open alert violations plus APM application health (REST API v2).
+   Violations become dashboard services so they go through the same
+   history and alert rules as status pages: one widget per name in
+   `entities` (comma separated), or a single "New Relic alerts" widget
+   covering everything when that field is empty.
+------------------------------------------------------------------- */
+
+const NEWRELIC_PRIORITY_LEVELS = { critical: "major", high: "major", warning: "warning", medium: "warning", low: "ok", info: "ok" };
+const NEWRELIC_HEALTH_LEVELS = { red: "major", orange: "warning", green: "ok" };
+
+function newRelicEntities(config) {
+  return String(config.fields.entities || "").split(",").map(s => s.trim()).filter(Boolean);
 }
 
-function closeHistoryModal() {
-  const modal   = document.getElementById("historyModal");
-  const overlay = document.getElementById("historyOverlay");
-  if (modal)   modal.hidden = true;
-  if (overlay) overlay.hidden = true;
+function newRelicServiceId(config, entity) {
+  return entity ? `${config.id}-${entity.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}` : `${config.id}-alerts`;
 }
 
-function renderHistoryList() {
-  const list = document.getElementById("historyList");
-  if (!list) return;
+registerIntegrationAdapter("newrelic", {
+  kpi: { tile: "kpiNewRelic", value: "kpiNewVal" },
+  refreshButton: "nrRefresh",
+
+  services(config) {
+    const entities = newRelicEntities(config);
+    const page = config.fields.accountId ? `https://one.newrelic.com/alerts-ai?account=${encodeURIComponent(config.fields.accountId)}` : "https://one.newrelic.com/";
+    return (entities.length ? entities : [""]).map(entity => ({
+      id: newRelicServiceId(config, entity),
+      name: entity || "New Relic alerts",
+      category: "Monitoring",
+      page
+    }));
+  },
+
+  async poll(config, request) {
+    const [violations, applications] = await Promise.all([
+      request(`${config.api.alerts}?only_open=true`),
+      // Violations alone drive the KPI; APM health is a bonus
+      request(config.api.applications).catch(() => null)
+    ]);
+
+    const entities = newRelicEntities(config);
+    return normalizeNewRelicResult(violations, applications, {
+      entities: entities.map(name => ({ name, serviceId: newRelicServiceId(config, name) })),
+      aggregateId: entities.length ? null : newRelicServiceId(config, "")
+    });
+  }
+});
 
-  list.innerHTML = "";
+function newRelicLevel(priority) {
+  return NEWRELIC_PRIORITY_LEVELS[String(priority || "").toLowerCase()] || "warning";
+}
 
-  OPM.db.history.slice().reverse().forEach(item => {
-    const div = document.createElement("div");
-    div.className = "history-item";
-    div.textContent = `[${formatTs(item.ts)}] ${item.name}: ${item.message}`;
-    list.appendChild(div);
-  });
+function worstLevel(levels) {
+  return levels.reduce((worst, level) =>
+    ALERT_SEVERITY[mapStatusToColor(level)] > ALERT_SEVERITY[mapStatusToColor(worst)] ? level : worst, "ok");
+}
+
+function normalizeNewRelicResult(violationsJson, applicationsJson, { entities = [], aggregateId = null } = {}) {
+  const violations = (violationsJson?.violations || [])
+    .filter(v => !v.closed_at)
+    .map(v => {
+      const opened = Number(v.opened_at) || Date.parse(v.opened_at) || null;
+      return {
+        id: String(v.id),
+        title: v.label || v.condition_name || `Violation ${v.id}`,
+        status: newRelicLevel(v.priority),
+        severity: v.priority || "",
+        service: typeof v.entity === "string" ? v.entity : v.entity?.name || "",
+        // v2 returns epoch milliseconds; tolerate seconds as well
+        ts: opened && opened < 1e12 ? opened * 1000 : opened,
+        url: v.links?.incident_url || ""
+      };
+    })
+    .sort((a, b) => ALERT_SEVERITY[mapStatusToColor(b.status)] - ALERT_SEVERITY[mapStatusToColor(a.status)] || (b.ts || 0) - (a.ts || 0));
+
+  const applications = (applicationsJson?.applications || []).map(app => ({
+    name: app.name,
+    level: NEWRELIC_HEALTH_LEVELS[app.health_status] || "unknown",
+    health: app.health_status || "unknown"
+  }));
+  const unhealthy = applications.filter(app => app.level === "major" || app.level === "warning");
+
+  const describe = list => list.slice(0, 2).map(v => v.title + (v.service ? ` on ${v.service}` : "")).join(", ") +
+    (list.length > 2 ? ` +${list.length - 2} more` : "");
+
+  const toService = (serviceId, list, apps) => {
+    const level = worstLevel([...list.map(v => v.status), ...apps.map(app => app.level)]);
+    const top = list[0];
+    return {
+      id: serviceId,
+      level,
+      message: list.length
+        ? `${list.length} open violation${list.length > 1 ? "s" : ""}: ${describe(list)}`
+        : apps.some(app => app.level !== "ok")
+          ? `APM health ${apps.map(app => app.health).join(", ")}`
+          : "No open violations",
+      incident: top ? { title: top.title, state: top.severity || top.status, ts: top.ts, link: top.url } : null
+    };
+  };
+
+  const services = aggregateId
+    ? [toService(aggregateId, violations, unhealthy)]
+    : entities.map(({ name, serviceId }) => {
+      const key = name.toLowerCase();
+      return toService(
+        serviceId,
+        violations.filter(v => v.service.toLowerCase() === key),
+        applications.filter(app => String(app.name).toLowerCase() === key)
+      );
+    });
+
+  const critical = violations.filter(v => v.status === "major").length;
+  const items = [
+    ...violations,
+    ...unhealthy.map(app => ({ id: `app-${app.name}`, title: app.name, status: app.level, severity: `APM health ${app.health}`, service: "Application", ts: null, url: "" }))
+  ];
+
+  return {
+    count: violations.length,
+    sub: applications.length ? `Open violations · ${unhealthy.length} of ${applications.length} apps unhealthy` : "Open violations",
+    tone: critical || unhealthy.some(app => app.level === "major") ? "down" : items.length ? "warn" : "ok",
+    summary: `${critical} critical, ${violations.length - critical} other open violation(s)` +
+      (applicationsJson ? ` · ${applications.length - unhealthy.length}/${applications.length} applications healthy` : " · APM health unavailable"),
+    items,
+    services
+  };
 }
 
 /* ----------------------------------------------------------------
-   NOTIFICATIONS SYSTEM
+   ANALYTICS
+   Reliability figures are derived from db.history and db.incidents
+   (see INCIDENT TIMELINE) over a rolling 24h / 7d / 30d range:
+   - uptime %   observed time minus time at a major level, as a share
+                of observed time. Degraded time is reported separately.
+                Both come from the history runs, where each row's level
+                lasts until the service's next row, so an incident that
+                peaks at major only counts as down while it was.
+   - MTTR       mean duration of incidents resolved inside the range
+   - MTBF       up time divided by the number of incidents
+   Maintenance windows are carved out of both observed and down time,
+   and a service is only "observed" from its first history entry on.
+   Results are cached in db.analyticsCache.{uptime,incidentTrends}[range].
 ------------------------------------------------------------------- */
 
-function checkNotificationTrigger(name, status) {
-  if (status.level === "major" || status.level === "down") {
-    pushNotification(`${name} is DOWN`, status.message);
-  }
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ANALYTICS_RANGES = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS
+};
+const ANALYTICS_CACHE_TTL_MS = 60 * 1000;
+
+// canvas -> [{ x, y, w, h, tooltip }] for hover lookups
+const CHART_REGIONS = new WeakMap();
+
+function mergeIntervals(intervals) {
+  const merged = [];
+  intervals
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    });
+  return merged;
 }
 
-function pushNotification(title, message) {
-  ensureDBShape();
-  const notif = { id: uuid(), title, message, ts: Date.now(), unread: true };
-  OPM.db.notifications.push(notif);
-  saveDB();
-  renderNotificationList();
-  showPopupAlert(`${title}: ${message}`);
-  playAlertSound(OPM.settings.alertSound);
+// Length of [start, end) not covered by `holes` (merged, non-overlapping)
+function uncoveredLength([start, end], holes) {
+  const covered = holes.reduce((sum, [s, e]) => sum + Math.max(0, Math.min(end, e) - Math.max(start, s)), 0);
+  return Math.max(0, end - start - covered);
 }
 
-function renderNotificationList() {
-  const list = document.getElementById("notifList");
-  if (!list) return;
-  list.innerHTML = "";
-  OPM.db.notifications.slice().reverse().forEach(n => {
-    const div = document.createElement("div");
-    div.className = "notif-item";
-    div.innerHTML = `<strong>${n.title}</strong><br>${n.message}<br><small>${formatTs(n.ts)}</small>`;
-    list.appendChild(div);
-  });
+function maintenanceIntervals(windows, widgetId, from, to) {
+  const intervals = [];
+  (windows || [])
+    .filter(mw => mw.widgetId === widgetId)
+    .forEach(mw => {
+      const start = Date.parse(mw.start);
+      const end = Date.parse(mw.end);
+      if (Number.isNaN(start) || Number.isNaN(end)) return;
+
+      const period = RECURRENCE_PERIODS[mw.recurring];
+      if (!period) {
+        intervals.push([Math.max(start, from), Math.min(end, to)]);
+        return;
+      }
+      // Start from the occurrence just before `from` and step through the range
+      const first = Math.max(0, Math.floor((from - end) / period));
+      for (let offset = first * period; start + offset < to; offset += period) {
+        intervals.push([Math.max(start + offset, from), Math.min(end + offset, to)]);
+      }
+    });
+  return mergeIntervals(intervals);
 }
 
-function showPopupAlert(text) {
-  if (!OPM.settings.popupAlerts) return;
+// [{ color, span }] per history run; the latest run lasts until `to`
+function levelRuns(history, widgetId, from, to) {
+  const rows = history.filter(h => h.widgetId === widgetId && h.ts < to).sort((a, b) => a.ts - b.ts);
+  return rows
+    .map((row, i) => ({ color: mapStatusToColor(row.level), span: [Math.max(row.ts, from), Math.min(rows[i + 1]?.ts ?? to, to)] }))
+    .filter(run => run.span[1] > run.span[0]);
+}
 
-  const popup = document.getElementById("alertPopup");
-  if (!popup) return;
+function computeServiceReliability(history, incidents, windows, widgetId, { from, to, observedFrom = from }) {
+  const start = Math.max(from, observedFrom);
+  const maintenance = maintenanceIntervals(windows, widgetId, start, to);
+  const observedMs = start < to ? uncoveredLength([start, to], maintenance) : 0;
+
+  const runs = levelRuns(history, widgetId, start, to);
+  const timeAt = color => mergeIntervals(runs.filter(run => run.color === color).map(run => run.span))
+    .reduce((sum, span) => sum + uncoveredLength(span, maintenance), 0);
+
+  const own = incidents.filter(i => i.widgetId === widgetId && i.start < to && (i.end ?? to) > start);
+
+  const downtimeMs = timeAt("down");
+  const degradedMs = timeAt("warn");
+  const started = own.filter(i => i.start >= start);
+  const resolved = started.filter(i => i.end !== null);
+
+  return {
+    widgetId,
+    observedMs,
+    downtimeMs,
+    degradedMs,
+    uptime: observedMs ? (1 - downtimeMs / observedMs) * 100 : null,
+    incidents: started.length,
+    resolved: resolved.length,
+    mttrMs: resolved.length ? resolved.reduce((sum, i) => sum + i.end - i.start, 0) / resolved.length : null,
+    mtbfMs: started.length ? (observedMs - downtimeMs) / started.length : null
+  };
+}
 
-  popup.textContent = text;
-  popup.hidden = false;
+function bucketStart(ts, bucketMs) {
+  if (bucketMs !== DAY_MS) return Math.floor(ts / bucketMs) * bucketMs;
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
 
-  setTimeout(() => {
-    popup.hidden = true;
-  }, 4000);
+// Day buckets step by calendar day so DST changes keep them on local midnight
+function nextBucket(ts, bucketMs) {
+  if (bucketMs !== DAY_MS) return ts + bucketMs;
+  const d = new Date(ts);
+  d.setDate(d.getDate() + 1);
+  return d.getTime();
 }
 
-function playAlertSound(type) {
-  if (type === "none") return;
-  // path relative to index.html on GitHub Pages
-  new Audio(`assets/sounds/${type}.mp3`).play().catch(() => {});
+// Incidents started per hour (24h range) or per local day
+function computeIncidentTrend(incidents, from, to, bucketMs) {
+  const buckets = [];
+  for (let ts = bucketStart(from, bucketMs); ts < to; ts = nextBucket(ts, bucketMs)) {
+    buckets.push({ ts, count: 0 });
+  }
+  incidents
+    .filter(i => i.start >= from && i.start < to)
+    .forEach(i => {
+      const bucket = buckets.filter(b => b.ts <= i.start).pop();
+      if (bucket) bucket.count++;
+    });
+  return buckets;
 }
 
-/* ----------------------------------------------------------------
-   PUBLIC SHARE SNAPSHOT
-------------------------------------------------------------------- */
+function computeAnalytics(db, services, range = "7d", now = Date.now()) {
+  const to = now;
+  const from = now - (ANALYTICS_RANGES[range] || ANALYTICS_RANGES["7d"]);
 
-function createPublicSnapshot() {
-  const snapshot = {
-    created: Date.now(),
-    widgets: OPM.statusConfigs.filter(w => w.enabled),
-    history: [...OPM.db.history]
+  const firstSeen = {};
+  db.history.forEach(h => {
+    if (!(h.widgetId in firstSeen) || h.ts < firstSeen[h.widgetId]) firstSeen[h.widgetId] = h.ts;
+  });
+
+  const rows = services.map(svc => ({
+    name: svc.name,
+    ...computeServiceReliability(db.history, db.incidents, db.maintenanceWindows, svc.id, {
+      from,
+      to,
+      observedFrom: firstSeen[svc.id] ?? to
+    })
+  }));
+
+  const sum = key => rows.reduce((total, row) => total + row[key], 0);
+  const observedMs = sum("observedMs");
+  const downtimeMs = sum("downtimeMs");
+  const incidents = sum("incidents");
+  const resolved = sum("resolved");
+  const ids = new Set(services.map(svc => svc.id));
+
+  return {
+    range,
+    from,
+    to,
+    computedAt: now,
+    services: rows,
+    totals: {
+      uptime: observedMs ? (1 - downtimeMs / observedMs) * 100 : null,
+      incidents,
+      mttrMs: resolved ? rows.reduce((total, row) => total + (row.mttrMs || 0) * row.resolved, 0) / resolved : null,
+      mtbfMs: incidents ? (observedMs - downtimeMs) / incidents : null
+    },
+    trend: computeIncidentTrend(
+      db.incidents.filter(i => ids.has(i.widgetId)),
+      from,
+      to,
+      range === "24h" ? HOUR_MS : DAY_MS
+    )
   };
+}
 
-  const json = btoa(JSON.stringify(snapshot));
-  const url = `${location.origin}${location.pathname}#public=${json}`;
+function getAnalytics(range, { force = false } = {}) {
+  ensureDBShape();
+  const cache = OPM.db.analyticsCache;
+  const cached = cache.uptime[range];
 
-  const area = document.getElementById("publicLinkArea");
-  if (area) {
-    area.innerHTML = `<input class="input" value="${url}" readonly />`;
+  if (!force && cached && Date.now() - cached.computedAt < ANALYTICS_CACHE_TTL_MS) {
+    return { ...cached, trend: cache.incidentTrends[range] || [] };
   }
 
-  logEvent("public", "Created snapshot link");
+  const { trend, ...report } = computeAnalytics(OPM.db, getServiceConfigs(), range);
+  cache.uptime[range] = report;
+  cache.incidentTrends[range] = trend;
+  cache.lastComputed = report.computedAt;
+  return { ...report, trend };
 }
 
-/* ----------------------------------------------------------------
-   ADMIN SECTION (Tables, Feature Flags)
-------------------------------------------------------------------- */
-
-function renderStatusTableAdmin() {
-  const tbody = document.querySelector("#adminStatusTable tbody");
-  if (!tbody) return;
+function formatPercent(value) {
+  return value == null ? "—" : `${value.toFixed(value >= 99.9 && value < 100 ? 3 : 2)}%`;
+}
 
-  tbody.innerHTML = "";
-  OPM.statusConfigs.forEach(row => {
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td>${row.name}</td>
-      <td>${row.category || "-"}</td>
-      <td>${row.api}</td>
-      <td>${row.page}</td>
-      <td>${row.enabled ? "Yes" : "No"}</td>
-      <td>${row.env || "all"}</td>
-      <td>
-        <button class="btn btn-ghost btn-compact" data-id="${row.id}" data-act="toggle">Toggle</button>
-      </td>
-    `;
-    tr.querySelector("[data-act='toggle']").addEventListener("click", () => {
-      row.enabled = !row.enabled;
-      saveDB();
-      renderStatusTableAdmin();
-      renderAllWidgets();
-    });
-    tbody.appendChild(tr);
-  });
+function formatOptionalDuration(ms) {
+  return ms == null ? "—" : formatDuration(ms);
 }
 
-function renderIntegrationsTableAdmin() {
-  const tbody = document.querySelector("#adminIntegrationsTable tbody");
-  if (!tbody) return;
+function uptimeColor(value) {
+  if (value == null) return cssVar("--unknown", "#71717a");
+  if (value >= 99.9) return cssVar("--success", "#16a34a");
+  if (value >= 99) return cssVar("--warning", "#f59e0b");
+  return cssVar("--error", "#dc2626");
+}
 
-  tbody.innerHTML = "";
-  OPM.integrationConfigs.forEach(i => {
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td>${i.name}</td>
-      <td>${i.type}</td>
-      <td>${i.env}</td>
-      <td>${i.enabled ? "Enabled" : "Disabled"}</td>
-      <td><button class="btn btn-ghost btn-compact">Edit</button></td>
-    `;
-    tbody.appendChild(tr);
-  });
+function cssVar(name, fallback) {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  return value || fallback;
 }
 
-function renderFeatureFlags() {
-  const list = document.getElementById("featureFlagsList");
-  if (!list) return;
+/*
+   Minimal canvas bar chart.
+   bars: [{ label, value, valueLabel, color, tooltip }]
+   Horizontal charts grow to fit one row per bar; vertical charts keep
+   the canvas height and thin out the x-axis labels.
+*/
+function renderBarChart(canvas, bars, { max, horizontal = false, emptyText = "No data for this range" } = {}) {
+  const ctx = canvas?.getContext?.("2d");
+  if (!ctx) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 360;
+  const height = horizontal ? Math.max(80, bars.length * 26 + 12) : 200;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  canvas.style.height = `${height}px`;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.textBaseline = "middle";
+
+  const textColor = cssVar("--text", "#111");
+  const mutedColor = cssVar("--text-muted", "#595959");
+  const regions = [];
+  CHART_REGIONS.set(canvas, regions);
+
+  if (!bars.length) {
+    ctx.fillStyle = mutedColor;
+    ctx.fillText(emptyText, 8, 20);
+    return;
+  }
 
-  list.innerHTML = "";
+  const top = max ?? Math.max(1, ...bars.map(b => b.value));
+
+  if (horizontal) {
+    const labelWidth = 120;
+    const valueWidth = 64;
+    const barHeight = 16;
+    bars.forEach((bar, i) => {
+      const y = 6 + i * 26;
+      const w = Math.max(2, (width - labelWidth - valueWidth) * (bar.value / top));
+      let label = bar.label;
+      while (label.length > 3 && ctx.measureText(label).width > labelWidth - 8) label = label.slice(0, -2) + "…";
+
+      ctx.fillStyle = textColor;
+      ctx.fillText(label, 0, y + barHeight / 2);
+      ctx.fillStyle = bar.color;
+      ctx.fillRect(labelWidth, y, w, barHeight);
+      ctx.fillStyle = mutedColor;
+      ctx.fillText(bar.valueLabel ?? String(bar.value), labelWidth + w + 6, y + barHeight / 2);
+      regions.push({ x: 0, y, w: width, h: barHeight, tooltip: bar.tooltip });
+    });
+    return;
+  }
 
-  const flags = OPM.db.featureFlags || {};
-  for (const key in flags) {
-    const div = document.createElement("div");
-    div.className = "field field--inline";
+  const axis = 20;
+  const plotHeight = height - axis - 8;
+  const slot = width / bars.length;
+  const every = Math.ceil(bars.length / Math.max(1, Math.floor(width / 48)));
+
+  ctx.fillStyle = mutedColor;
+  ctx.fillText(String(top), 0, 8);
+  bars.forEach((bar, i) => {
+    const h = plotHeight * (bar.value / top);
+    const x = i * slot + slot * 0.15;
+    const w = Math.max(1, slot * 0.7);
+    const y = 8 + plotHeight - h;
+
+    ctx.fillStyle = bar.color;
+    ctx.fillRect(x, y, w, h);
+    if (i % every === 0) {
+      ctx.fillStyle = mutedColor;
+      ctx.fillText(bar.label, x, height - axis / 2);
+    }
+    regions.push({ x: i * slot, y: 8, w: slot, h: plotHeight, tooltip: bar.tooltip });
+  });
+}
 
-    div.innerHTML = `
-      <input type="checkbox" id="flag-${key}" ${flags[key] ? "checked" : ""} />
-      <span class="field-label-inline">${key}</span>
-    `;
+function bindChartTooltips() {
+  let tip = document.getElementById("chartTooltip");
+  if (!tip) {
+    tip = document.createElement("div");
+    tip.id = "chartTooltip";
+    tip.className = "chart-tooltip";
+    tip.hidden = true;
+    document.body.appendChild(tip);
+  }
 
-    div.querySelector("input").addEventListener("change", e => {
-      OPM.db.featureFlags[key] = e.target.checked;
-      saveDB();
+  document.querySelectorAll(".analytics-card canvas").forEach(canvas => {
+    canvas.addEventListener("mousemove", e => {
+      const rect = canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const hit = (CHART_REGIONS.get(canvas) || []).find(r => x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h);
+
+      if (!hit?.tooltip) {
+        tip.hidden = true;
+        return;
+      }
+      tip.textContent = hit.tooltip;
+      tip.style.left = `${e.pageX + 12}px`;
+      tip.style.top = `${e.pageY + 12}px`;
+      tip.hidden = false;
     });
+    canvas.addEventListener("mouseleave", () => { tip.hidden = true; });
+  });
+}
 
-    list.appendChild(div);
+function bindAnalyticsEvents() {
+  const rangeSel = document.getElementById("analyticsRange");
+  if (rangeSel) {
+    rangeSel.value = OPM.settings.analyticsRange;
+    rangeSel.addEventListener("change", () => {
+      OPM.settings.analyticsRange = rangeSel.value;
+      saveLocalSettings();
+      buildAnalyticsCharts();
+    });
   }
+  bindChartTooltips();
 }
 
-/* ----------------------------------------------------------------
-   ANALYTICS
-------------------------------------------------------------------- */
-
 function buildAnalyticsCharts() {
-  const c1 = document.getElementById("chartUptime");
-  const c2 = document.getElementById("chartIncidents");
-  const c3 = document.getElementById("chartIntegrations");
+  // Canvases have no size while the view is hidden; the tab switch redraws
+  const view = document.getElementById("viewAnalytics");
+  if (view && !view.classList.contains("view--active")) return;
+
+  const range = OPM.settings.analyticsRange;
+  const report = getAnalytics(range);
+  const bucketLabel = range === "24h"
+    ? ts => `${String(new Date(ts).getHours()).padStart(2, "0")}:00`
+    : ts => new Date(ts).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+  renderBarChart(document.getElementById("chartUptime"), report.services.map(row => ({
+    label: row.name,
+    value: row.uptime ?? 0,
+    valueLabel: formatPercent(row.uptime),
+    color: uptimeColor(row.uptime),
+    tooltip: row.uptime == null
+      ? `${row.name}\nNot observed in this range`
+      : `${row.name}\nUptime ${formatPercent(row.uptime)}\nDown ${formatDuration(row.downtimeMs)} · Degraded ${formatDuration(row.degradedMs)}`
+  })), { max: 100, horizontal: true, emptyText: "No services configured" });
+
+  renderBarChart(document.getElementById("chartIncidents"), report.trend.map(bucket => ({
+    label: bucketLabel(bucket.ts),
+    value: bucket.count,
+    color: cssVar("--error", "#dc2626"),
+    tooltip: `${bucketLabel(bucket.ts)}\n${bucket.count} incident(s) started`
+  })));
+
+  const activity = Object.entries(OPM.db.analyticsCache.integrationActivity);
+  renderBarChart(document.getElementById("chartIntegrations"), activity.map(([name, count]) => ({
+    label: name,
+    value: count,
+    color: cssVar("--accent", "#2563eb"),
+    tooltip: `${name}\n${count} event(s)`
+  })), { horizontal: true, emptyText: "No integration activity yet" });
+
+  renderAnalyticsSummary(report);
+}
 
-  if (c1?.getContext) {
-    c1.getContext("2d").fillText("Uptime chart placeholder", 20, 20);
-  }
-  if (c2?.getContext) {
-    c2.getContext("2d").fillText("Incidents chart placeholder", 20, 20);
-  }
-  if (c3?.getContext) {
-    c3.getContext("2d").fillText("Integrations chart placeholder", 20, 20);
+function renderAnalyticsSummary(report) {
+  const summary = document.getElementById("analyticsSummary");
+  if (summary) {
+    const { totals } = report;
+    summary.textContent = `Uptime ${formatPercent(totals.uptime)} · ${totals.incidents} incident(s) · ` +
+      `MTTR ${formatOptionalDuration(totals.mttrMs)} · MTBF ${formatOptionalDuration(totals.mtbfMs)}`;
   }
+
+  const tbody = document.querySelector("#analyticsReliabilityTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = report.services.map(row => `
+    <tr>
+      <td>${escapeHtml(row.name)}</td>
+      <td>${formatPercent(row.uptime)}</td>
+      <td>${formatDuration(row.downtimeMs)}</td>
+      <td>${formatDuration(row.degradedMs)}</td>
+      <td>${row.incidents}</td>
+      <td>${formatOptionalDuration(row.mttrMs)}</td>
+      <td>${formatOptionalDuration(row.mtbfMs)}</td>
+    </tr>
+  `).join("");
 }
 
 /* ----------------------------------------------------------------
@@ -977,17 +5908,51 @@ function uuid() {
   });
 }
 
+function getPath(obj, path) {
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function stripTags(html) {
+  return String(html ?? "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+  })[c]);
+}
+
 function formatTs(ts) {
   return new Date(ts).toLocaleString();
 }
 
-function logEvent(type, text) {
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return "<1m";
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function logEvent(type, text, meta = {}) {
   ensureDBShape();
   OPM.db.logs.push({
+    ...meta,
     id: uuid(),
     ts: Date.now(),
     type,
-    text
+    text: redactSecrets(text)
   });
   saveDB();
   renderLogs();
@@ -997,7 +5962,18 @@ function renderLogs() {
   const logList = document.getElementById("logList");
   if (!logList) return;
   logList.innerHTML = "";
-  OPM.db.logs.slice().reverse().forEach(l => {
+  if (!can("viewLogs")) return;
+
+  const typeSel = document.getElementById("logTypeFilter");
+  const type = typeSel?.value || "";
+  if (typeSel) {
+    const types = [...new Set(OPM.db.logs.map(l => l.type))].sort();
+    typeSel.innerHTML = '<option value="">All types</option>' +
+      types.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join("");
+    typeSel.value = types.includes(type) ? type : "";
+  }
+
+  OPM.db.logs.filter(l => !type || l.type === type).reverse().forEach(l => {
     const div = document.createElement("div");
     div.textContent = `[${formatTs(l.ts)}] (${l.type}) - ${l.text}`;
     logList.appendChild(div);
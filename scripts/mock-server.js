@@ -0,0 +1,202 @@
+/* ================================================================
+   OnePage Monitoring v2.1
+   Local mock server
+   ----------------------------------------------------------------
+   Serves the dashboard plus fake integration APIs, so integrations
+   can be exercised without real credentials:
+
+     node scripts/mock-server.js [port]        (default 8787)
+
+   Open http://localhost:8787/, enable the enableIntegrationPolling
+   feature flag and set Settings → "Integration API base URL" to
+   http://localhost:8787/mock.
+
+   Every api.* URL in config/integrations.json is answered under
+   /mock with that integration's sampleResponse ({placeholders} in
+   paths match any segment). Credentials are not checked.
+
+   Outbound notification channels can point at the webhook sink:
+     POST /mock/hooks/<name>          recorded and answered with 200
+     POST /mock/hooks/<name>?fail=2   first 2 posts answer 503 (retries)
+     GET  /mock/hooks                 everything received so far
+   With the base URL set, Slack and Teams channels post here too, under
+   /mock/hooks/slack/<path> and /mock/hooks/teams/<path>.
+   ================================================================ */
+
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const PORT = Number(process.argv[2]) || 8787;
+const MOCK_PREFIX = "/mock";
+const HOOKS_PATH = "/hooks";
+const MAX_HOOK_DELIVERIES = 100;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon"
+};
+
+// Endpoints whose sample is not part of config/integrations.json
+const EXTRA_SAMPLES = {
+  onCall: {
+    oncalls: [
+      {
+        escalation_level: 1,
+        user: { summary: "Jordan Lee" },
+        escalation_policy: { summary: "Core API" },
+        end: null
+      }
+    ]
+  },
+  applications: {
+    applications: [
+      { id: 4101, name: "Payment API", health_status: "orange", reporting: true },
+      { id: 4102, name: "Checkout Web", health_status: "green", reporting: true }
+    ]
+  }
+};
+
+/* ----------------------------------------------------------------
+   MOCK ROUTES
+------------------------------------------------------------------- */
+
+// Re-read on every request so config edits apply without a restart
+function loadRoutes() {
+  const integrations = JSON.parse(fs.readFileSync(path.join(ROOT, "config/integrations.json"), "utf8"));
+  const routes = [];
+
+  integrations.forEach(integration => {
+    Object.entries(integration.api || {}).forEach(([name, url]) => {
+      const pathname = decodeURIComponent(new URL(url).pathname);
+      const pattern = pathname
+        .split(/(\{[^}]+\})/)
+        .map(part => (/^\{[^}]+\}$/.test(part) ? "[^/]+" : part.replace(/[.*+?^$()|[\]\\]/g, "\\$&")))
+        .join("");
+
+      routes.push({
+        name: `${integration.id}.${name}`,
+        regex: new RegExp(`^${pattern}/?$`),
+        body: EXTRA_SAMPLES[name] || integration.sampleResponse || {}
+      });
+    });
+  });
+  return routes;
+}
+
+function handleMock(req, res, pathname) {
+  const route = loadRoutes().find(r => r.regex.test(pathname));
+  if (!route) {
+    sendJson(res, 404, { error: `No mock for ${pathname}` });
+    return;
+  }
+  console.log(`mock ${req.method} ${pathname} -> ${route.name}`);
+  sendJson(res, 200, route.body);
+}
+
+/* ----------------------------------------------------------------
+   WEBHOOK SINK
+------------------------------------------------------------------- */
+
+const hookDeliveries = [];
+const hookFailures = new Map();
+
+function handleHook(req, res, pathname, searchParams) {
+  if (req.method === "GET") {
+    sendJson(res, 200, hookDeliveries);
+    return;
+  }
+
+  let body = "";
+  req.on("data", chunk => (body += chunk));
+  req.on("end", () => {
+    const failFirst = Number(searchParams.get("fail")) || 0;
+    const seen = (hookFailures.get(pathname) || 0) + 1;
+    hookFailures.set(pathname, seen);
+    if (seen <= failFirst) {
+      console.log(`hook ${pathname} -> 503 (${seen}/${failFirst})`);
+      sendJson(res, 503, { error: "Simulated failure" });
+      return;
+    }
+
+    let payload = body;
+    try {
+      payload = JSON.parse(body);
+    } catch (_) {
+      // Kept as text
+    }
+    hookDeliveries.push({ path: pathname, ts: new Date().toISOString(), contentType: req.headers["content-type"] || "", payload });
+    if (hookDeliveries.length > MAX_HOOK_DELIVERIES) hookDeliveries.shift();
+    console.log(`hook ${pathname} <- ${body.length} bytes`);
+    sendJson(res, 200, { ok: true });
+  });
+}
+
+/* ----------------------------------------------------------------
+   STATIC FILES
+------------------------------------------------------------------- */
+
+function handleStatic(res, pathname) {
+  const file = path.resolve(ROOT, `.${pathname === "/" ? "/index.html" : pathname}`);
+  if (!file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(file)] || "application/octet-stream" }).end(data);
+  });
+}
+
+/* ----------------------------------------------------------------
+   SERVER
+------------------------------------------------------------------- */
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+const server = http.createServer((req, res) => {
+  // The dashboard may be served from elsewhere (e.g. GitHub Pages)
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Accept, Content-Type, X-Api-Key");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  try {
+    const mockPath = pathname.slice(MOCK_PREFIX.length) || "/";
+    if (pathname === `${MOCK_PREFIX}${HOOKS_PATH}` || pathname.startsWith(`${MOCK_PREFIX}${HOOKS_PATH}/`)) {
+      handleHook(req, res, mockPath, searchParams);
+    } else if (pathname === MOCK_PREFIX || pathname.startsWith(`${MOCK_PREFIX}/`)) {
+      handleMock(req, res, mockPath);
+    } else {
+      handleStatic(res, decodeURIComponent(pathname));
+    }
+  } catch (err) {
+    console.error(err);
+    sendJson(res, 500, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`OnePage Monitoring mock server on http://localhost:${PORT}/`);
+  console.log(`Integration API base URL: http://localhost:${PORT}${MOCK_PREFIX}`);
+});
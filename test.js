@@ -4,16 +4,22 @@
  * Jest + JSDOM compatible
  * ---------------------------------------------------------------
  * This file validates:
- *  - Status fetching (JSON, RSS, HTML)
- *  - Widget rendering
- *  - Notifications
- *  - History
+ *  - Status fetching (JSON, Statuspage, RSS, HTML)
+ *  - Widget rendering & custom services
+ *  - Refresh scheduler backoff
+ *  - Status store / overview counts
+ *  - Notifications, alert rules & outbound channels
+ *  - Maintenance windows
+ *  - History compaction, incident timeline & CSV export
  *  - Settings
- *  - Role system
+ *  - Auth, sessions & permissions
+ *  - Audit trail & diffs
  *  - Admin controls
+ *  - Integrations (PagerDuty, Azure DevOps, New Relic) & settings
+ *  - Secrets vault
  *  - Public snapshot generator
- *  - Analytics placeholders
- *  - DB load/save model
+ *  - Analytics (uptime, MTTR/MTBF, incident trend)
+ *  - DB load/save model, storage adapters & retention
  *  - Feature flags
  * ================================================================
  */
@@ -89,12 +95,17 @@ const vm = require("vm");
 
 function loadMainJS(dom) {
   const script = fs.readFileSync("./scripts/main.js", "utf8");
-  const sandbox = { window: dom.window, document: dom.window.document, localStorage: global.localStorage, fetch: global.fetch, console };
+  const sandbox = { window: dom.window, document: dom.window.document, DOMParser: dom.window.DOMParser, URL, btoa, atob, crypto, TextEncoder, TextDecoder, AbortController, setTimeout, clearTimeout, localStorage: global.localStorage, fetch: global.fetch, console };
   vm.createContext(sandbox);
   vm.runInContext(script, sandbox);
   return sandbox;
 }
 
+// Top-level consts such as OPM are not sandbox properties
+function appState(app) {
+  return vm.runInContext("OPM", app);
+}
+
 /* ================================================================
    TEST SUITE START
 =================================================================== */
@@ -133,6 +144,113 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(result.level).toBe("ok");
   });
 
+  test("Statuspage summary parses indicator, incidents and components", () => {
+    const result = app.normalizeJsonStatus({
+      status: { indicator: "minor", description: "Partially Degraded Service" },
+      components: [
+        { id: "g1", name: "Voice", group: true, status: "operational" },
+        { id: "c1", name: "Voice - Americas", status: "degraded_performance", position: 2 },
+        { id: "c2", name: "Login", status: "operational", position: 1 }
+      ],
+      incidents: [
+        { id: "i1", name: "Call quality issues", status: "investigating", impact: "minor" },
+        { id: "i2", name: "Old issue", status: "resolved", impact: "minor" }
+      ],
+      scheduled_maintenances: [
+        { id: "m1", name: "DB upgrade", status: "scheduled", scheduled_for: "2025-01-02T00:00:00Z" }
+      ]
+    });
+
+    expect(result.level).toBe("warning");
+    expect(result.message).toBe("Partially Degraded Service · 1 open incident");
+    expect(result.components.map(c => c.name)).toEqual(["Login", "Voice - Americas"]);
+    expect(result.components[1].level).toBe("warning");
+    expect(result.incidents.length).toBe(1);
+    expect(result.maintenances[0].name).toBe("DB upgrade");
+  });
+
+  test("Provider registry auto-detects feeds and honours pinned providers", () => {
+    const atom = { contentType: "text/xml", text: '<feed xmlns="http://www.w3.org/2005/Atom"></feed>', json: null };
+    const html = { contentType: "text/html", text: "<html>Incident history</html>", json: null };
+
+    expect(app.resolveStatusProvider(atom).name).toBe("atom");
+    expect(app.resolveStatusProvider(html).name).toBe("html-selector");
+    expect(app.resolveStatusProvider(html, { provider: "rss" }).name).toBe("rss");
+    expect(app.resolveStatusProvider(html, { provider: "nope" }).name).toBe("html-selector");
+  });
+
+  test("Atom feed only counts unresolved incidents inside the lookback window", () => {
+    const iso = hoursAgo => new Date(Date.now() - hoursAgo * 3600 * 1000).toISOString();
+    const feed = `<?xml version="1.0"?>
+      <feed xmlns="http://www.w3.org/2005/Atom">
+        <entry>
+          <title>Elevated API errors</title>
+          <link href="https://status.example.com/incidents/1" />
+          <updated>${iso(1)}</updated>
+          <content type="html">&lt;strong&gt;Investigating&lt;/strong&gt; - We are looking into it.</content>
+        </entry>
+        <entry>
+          <title>Dashboard outage</title>
+          <updated>${iso(2)}</updated>
+          <content type="html">&lt;strong&gt;Resolved&lt;/strong&gt; - Fixed. &lt;strong&gt;Investigating&lt;/strong&gt; - Looking.</content>
+        </entry>
+        <entry>
+          <title>Old incident</title>
+          <updated>${iso(24 * 30)}</updated>
+          <content type="html">&lt;strong&gt;Identified&lt;/strong&gt; - Never closed.</content>
+        </entry>
+      </feed>`;
+
+    const items = app.parseIncidentFeed(feed);
+    expect(items.map(i => i.state)).toEqual(["open", "resolved", "open"]);
+
+    const result = app.normalizeRssStatus(feed, { lookbackHours: 24 });
+    expect(result.level).toBe("warning");
+    expect(result.incident.title).toBe("Elevated API errors");
+    expect(result.incident.link).toBe("https://status.example.com/incidents/1");
+
+    const quiet = app.normalizeRssStatus(feed, { lookbackHours: 0.5 });
+    expect(quiet.level).toBe("ok");
+  });
+
+  test("Feed entries sort newest first with undated entries leading", () => {
+    const entries = [{ id: "old", ts: 100 }, { id: "n1", ts: null }, { id: "new", ts: 300 }, { id: "n2", ts: null }, { id: "mid", ts: 200 }];
+    expect([...entries].sort(app.compareFeedEntries).map(e => e.id)).toEqual(["n1", "n2", "new", "mid", "old"]);
+    expect(app.compareFeedEntries({ ts: null }, { ts: null })).toBe(0);
+  });
+
+  test("HTML scrape rules ignore footer text and report the matched rule", () => {
+    const html = `
+      <div class="page-status status-none"><span class="status">All Systems Operational</span></div>
+      <footer><a href="/history">Incident history</a></footer>`;
+
+    const byClass = app.normalizeScrapedStatus(html, [
+      { name: "banner", selector: ".page-status", read: "class", map: { "status-none": "ok", "status-major": "major" } }
+    ]);
+    expect(byClass.level).toBe("ok");
+    expect(byClass.matchedRule).toBe("banner");
+
+    const byXpath = app.normalizeScrapedStatus(html, [
+      { name: "missing", selector: ".unresolved-incident", map: { "": "major" } },
+      { xpath: "//span[@class='status']", match: "exact", map: { "all systems operational": "ok" } }
+    ]);
+    expect(byXpath.level).toBe("ok");
+    expect(byXpath.message).toBe("All Systems Operational");
+    expect(byXpath.matchedRule).toBe("//span[@class='status']");
+
+    const none = app.normalizeScrapedStatus(html, [{ selector: ".page-status", map: { degraded: "warning" } }]);
+    expect(none.level).toBe("unknown");
+  });
+
+  test("Custom JSON provider follows statusPath and statusMap", () => {
+    const result = app.normalizeCustomStatus(
+      { page: { status: "HASISSUES", name: "Vendor" } },
+      { statusPath: "page.status", messagePath: "page.name", statusMap: { hasissues: "warning" } }
+    );
+    expect(result.level).toBe("warning");
+    expect(result.message).toBe("Vendor");
+  });
+
   /* --------------------------------------------------------------
      WIDGET RENDERING
   -------------------------------------------------------------- */
@@ -149,6 +267,78 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(widget.el.querySelector(".widget-name").textContent).toBe("Demo Service");
   });
 
+  test("Custom services become widget configs with optional provider and interval", () => {
+    const cfg = app.customServiceToConfig({
+      id: "custom-1",
+      name: "Internal API",
+      url: "https://internal.example.com/status.json",
+      category: "",
+      provider: "",
+      pollInterval: 120
+    });
+    expect(cfg).toMatchObject({
+      id: "custom-1",
+      api: "https://internal.example.com/status.json",
+      page: "https://internal.example.com/status.json",
+      category: "Custom",
+      pollInterval: 120,
+      enabled: true,
+      custom: true
+    });
+    // Empty provider means auto-detect
+    expect(cfg.provider).toBeUndefined();
+    expect(app.getPollInterval(cfg)).toBe(120);
+  });
+
+  test("Overview counts come from the status store, not message text", () => {
+    const store = {
+      a: { level: "ok", message: "Unable to load" },
+      b: { level: "warning", message: "Booking ok but delayed" },
+      c: { level: "major", message: "Looks operational" },
+      d: { level: "unknown", message: "All good" }
+    };
+    const counts = app.getStatusCounts(store, ["a", "b", "c", "d", "e"]);
+    expect({ ...counts }).toEqual({ ok: 1, warn: 1, down: 1, maint: 0, unknown: 2 });
+  });
+
+  /* --------------------------------------------------------------
+     MAINTENANCE WINDOWS
+  -------------------------------------------------------------- */
+
+  test("Maintenance windows match one-off and recurring periods", () => {
+    const day = 24 * 3600 * 1000;
+    const start = Date.parse("2025-01-01T02:00:00Z");
+    const windows = [
+      { id: "once", widgetId: "svc-a", start: "2025-01-01T02:00:00Z", end: "2025-01-01T04:00:00Z", recurring: "none" },
+      { id: "nightly", widgetId: "svc-b", start: "2025-01-01T02:00:00Z", end: "2025-01-01T04:00:00Z", recurring: "daily" }
+    ];
+
+    expect(app.findActiveMaintenance(windows, "svc-a", start + 3600 * 1000).id).toBe("once");
+    expect(app.findActiveMaintenance(windows, "svc-a", start + day)).toBe(null);
+    expect(app.findActiveMaintenance(windows, "svc-b", start + 5 * day + 3600 * 1000).id).toBe("nightly");
+    expect(app.findActiveMaintenance(windows, "svc-b", start + 5 * day + 3 * 3600 * 1000)).toBe(null);
+  });
+
+  test("Scheduled events in feeds become maintenance windows, not incidents", () => {
+    const window = app.parseScheduledEventWindow(
+      "Scheduled - THIS IS A SCHEDULED EVENT Jan 9, 21:00 - 01:00 UTC. We will upgrade storage.",
+      Date.parse("2025-01-05T00:00:00Z")
+    );
+    expect(window.start).toBe("2025-01-09T21:00:00.000Z");
+    expect(window.end).toBe("2025-01-10T01:00:00.000Z");
+  });
+
+  /* --------------------------------------------------------------
+     REFRESH SCHEDULER
+  -------------------------------------------------------------- */
+
+  test("Scheduler backs off failing endpoints with bounded jitter", () => {
+    expect(app.computeNextDelay(30, 0)).toBe(30);
+    expect(app.computeNextDelay(30, 2, () => 0.5)).toBe(120);
+    expect(app.computeNextDelay(30, 2, () => 0)).toBeCloseTo(96);
+    expect(app.computeNextDelay(30, 20, () => 1)).toBeCloseTo(15 * 60 * 1.2);
+  });
+
   /* --------------------------------------------------------------
      NOTIFICATIONS
   -------------------------------------------------------------- */
@@ -158,6 +348,108 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(app.OPM.db.notifications.length).toBeGreaterThan(0);
   });
 
+  test("Notification text from feeds is shown as text, not markup", () => {
+    app.pushNotification("<img src=x onerror=alert(1)>", "Feed says <b>down</b>", {}, ["popup"]);
+    const list = dom.window.document.getElementById("notifList");
+    expect(list.querySelector("img, b")).toBeNull();
+    expect(list.textContent).toContain("<img src=x onerror=alert(1)>");
+  });
+
+  test("Alerts fire on confirmed transitions and recoveries only", () => {
+    expect(app.evaluateAlertTransition({ level: "ok" })).toBe(null);
+    expect(app.evaluateAlertTransition({ level: "major", streak: 1 }, 3)).toBe(null);
+    expect(app.evaluateAlertTransition({ level: "major", streak: 3 }, 3).kind).toBe("change");
+    expect(app.evaluateAlertTransition({ level: "major", streak: 9, confirmedLevel: "down" }, 3)).toBe(null);
+    expect(app.evaluateAlertTransition({ level: "unknown", streak: 5, confirmedLevel: "down" })).toBe(null);
+
+    const recovery = app.evaluateAlertTransition({ level: "operational", streak: 1, confirmedLevel: "down" }, 3);
+    expect(recovery.kind).toBe("recovery");
+    expect(recovery.from).toBe("down");
+  });
+
+  test("Alert rules filter by service, environment, severity and quiet hours", () => {
+    const rules = [
+      { id: "outages", action: "notify", minLevel: "major", channels: ["popup", "sound"] },
+      { id: "genesys-warn", action: "notify", services: ["svc-genesys"], env: "production", minLevel: "warning", channels: ["desktop"] },
+      { id: "fortanix-night", action: "mute", services: ["svc-fortanix"], hours: { start: "22:00", end: "06:00" } },
+      { id: "escalate", action: "notify", minLevel: "major", escalateAfterMinutes: 10, channels: ["desktop"] }
+    ];
+    const noon = new Date(2025, 0, 1, 12, 0);
+    const night = new Date(2025, 0, 1, 23, 30);
+    const warn = { kind: "change", from: "ok", to: "warn" };
+
+    expect(app.resolveAlertChannels(rules, { ...warn, widgetId: "svc-genesys" }, { env: "production", now: noon }).channels)
+      .toEqual(["desktop"]);
+    expect(app.resolveAlertChannels(rules, { ...warn, widgetId: "svc-genesys" }, { env: "staging", now: noon }).channels)
+      .toEqual([]);
+
+    const down = { kind: "change", from: "ok", to: "down", widgetId: "svc-fortanix" };
+    expect(app.resolveAlertChannels(rules, down, { env: "staging", now: noon }).channels).toEqual(["popup", "sound"]);
+    expect(app.resolveAlertChannels(rules, down, { env: "staging", now: night }).muted).toBe(true);
+
+    const escalation = { kind: "escalation", from: "down", to: "down", widgetId: "svc-x", ruleId: "escalate" };
+    expect(app.resolveAlertChannels(rules, escalation, { env: "staging", now: noon }).ruleIds).toEqual(["escalate"]);
+  });
+
+  test("Outbound payloads follow the Slack, Teams and webhook formats", () => {
+    const notification = { id: "n1", title: "GitHub is DOWN", message: "Major outage", ts: Date.UTC(2025, 0, 1, 12), widgetId: "svc-github", kind: "change", level: "down" };
+    const template = { title: "[{{env}}] {{title}}", text: "{{ service }}: {{message}} ({{unknown}})" };
+
+    const slack = app.buildOutboundPayload({ type: "slack", template }, notification);
+    expect(slack.text).toBe("[staging] GitHub is DOWN");
+    expect(slack.attachments[0]).toMatchObject({ color: "#d93025", text: "svc-github: Major outage ()", ts: 1735732800 });
+
+    const teams = app.buildOutboundPayload({ type: "teams" }, notification);
+    const card = teams.attachments[0].content;
+    expect(teams.attachments[0].contentType).toBe("application/vnd.microsoft.card.adaptive");
+    expect(card.body[0]).toMatchObject({ text: "GitHub is DOWN", color: "Attention" });
+    expect(card.body[2].facts[0]).toEqual({ title: "Service", value: "svc-github" });
+
+    expect(app.buildOutboundPayload({ type: "webhook" }, notification)).toMatchObject({
+      event: "change", title: "GitHub is DOWN", text: "Major outage", level: "down", ts: "2025-01-01T12:00:00.000Z", notificationId: "n1"
+    });
+  });
+
+  test("Outbound delivery retries server errors with backoff and stops on client errors", async () => {
+    const channel = { id: "c1", name: "Ops hook", type: "webhook", urlMasked: "http://localhost:8787/…" };
+    const notification = { id: "n1", title: "Test", message: "", ts: Date.now(), kind: "test", level: "ok" };
+    const waits = [];
+    const wait = ms => { waits.push(ms); return Promise.resolve(); };
+
+    app.resetVault();
+    expect(await app.deliverOutbound(channel, notification, { wait })).toMatchObject({ ok: false, attempts: 0, error: "Secrets vault locked" });
+    await app.openVault("correct horse battery");
+    await app.storeChannelUrl("c1", "http://localhost:8787/mock/hooks/ops");
+
+    global.fetch
+      .mockImplementationOnce(() => Promise.resolve({ ok: false, status: 503 }))
+      .mockImplementationOnce(() => Promise.reject(new TypeError("Failed to fetch")))
+      .mockImplementationOnce(() => Promise.resolve({ ok: true, status: 200 }));
+    const delivered = await app.deliverOutbound(channel, notification, { wait });
+    expect(delivered).toMatchObject({ ok: true, attempts: 3, status: 200 });
+    expect(waits.length).toBe(2);
+    expect(waits[1]).toBeGreaterThan(waits[0]);
+
+    global.fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 404 }));
+    expect(await app.deliverOutbound(channel, notification, { wait })).toMatchObject({ ok: false, attempts: 1, error: "HTTP 404" });
+  });
+
+  test("Slack and Teams posts without a relay are sent, not confirmed delivered", async () => {
+    const channel = { id: "c2", name: "#ops", type: "slack", urlMasked: "https://hooks.slack.com/…" };
+    const notification = { id: "n2", title: "GitHub is DOWN", message: "", ts: Date.now(), kind: "change", level: "down" };
+    app.resetVault();
+    await app.openVault("correct horse battery");
+    await app.storeChannelUrl("c2", "https://hooks.slack.com/services/T000/B000/secret");
+    expect(localStorage.getItem("opm-secrets")).not.toContain("hooks.slack.com");
+
+    global.fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 0, type: "opaque" }));
+    const result = await app.deliverOutbound(channel, notification);
+    expect(result).toMatchObject({ ok: true, confirmed: false, attempts: 1 });
+    const [url, init] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+    expect(url).toBe("https://hooks.slack.com/services/T000/B000/secret");
+    expect(init.mode).toBe("no-cors");
+  });
+
   test("Popup alert appears", () => {
     app.showPopupAlert("Alert!");
     const popup = dom.window.document.getElementById("alertPopup");
@@ -173,6 +465,116 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(app.OPM.db.history.length).toBeGreaterThan(0);
   });
 
+  test("Poll rows compact into runs and non-ok runs into incidents", () => {
+    const min = 60 * 1000;
+    const row = (ts, level, message) => ({ id: `h${ts}`, widgetId: "svc-genesys", name: "Genesys Cloud", level, message, ts: ts * min });
+    const history = app.compactHistory([
+      row(0, "ok", "All Systems Operational"),
+      row(1, "ok", "All Systems Operational"),
+      row(2, "warning", "Degraded voice"),
+      row(3, "major", "Voice outage"),
+      row(4, "warning", "Degraded voice"),
+      row(5, "ok", "All Systems Operational"),
+      row(6, "ok", "All Systems Operational")
+    ]);
+
+    expect(history.length).toBe(5);
+    expect(history[0].count).toBe(2);
+
+    const incidents = app.buildIncidentsFromHistory(history);
+    expect(incidents.length).toBe(1);
+    expect(incidents[0].peakLevel).toBe("major");
+    expect(incidents[0].durationMs).toBe(3 * min);
+    expect(incidents[0].messages).toEqual(["Degraded voice", "Voice outage"]);
+  });
+
+  test("Incident filters match service, severity and text", () => {
+    const incidents = [
+      { id: "a", widgetId: "svc-genesys", name: "Genesys Cloud", peakLevel: "warning", end: 10, messages: ["Slow login"] },
+      { id: "b", widgetId: "svc-twilio", name: "Twilio", peakLevel: "major", end: null, messages: ["SMS down"] }
+    ];
+    expect(app.filterIncidents(incidents, { widgetId: "svc-genesys" }).map(i => i.id)).toEqual(["a"]);
+    expect(app.filterIncidents(incidents, { status: "major" }).map(i => i.id)).toEqual(["b"]);
+    expect(app.filterIncidents(incidents, { status: "resolved" }).map(i => i.id)).toEqual(["a"]);
+    expect(app.filterIncidents(incidents, { status: "operational" })).toEqual([]);
+    expect(app.filterIncidents(incidents, { search: "sms" }).map(i => i.id)).toEqual(["b"]);
+  });
+
+  test("CSV export quotes commas, quotes and newlines and defuses formulas", () => {
+    const csv = app.toCsv(
+      [{ header: "service", value: r => r.name }, { header: "message", value: r => r.message }, { header: "checks", value: r => r.count }],
+      [
+        { name: "Azure DevOps", message: 'Pipelines "degraded", retrying\nin EU', count: 3 },
+        { name: "=HYPERLINK(\"x\")", message: "ok", count: -1 }
+      ]
+    );
+    expect(csv).toBe(
+      'service,message,checks\r\n' +
+      'Azure DevOps,"Pipelines ""degraded"", retrying\nin EU",3\r\n' +
+      '"\'=HYPERLINK(""x"")",ok,-1\r\n'
+    );
+  });
+
+  test("History rows are filtered by service, status and date range for export", () => {
+    const history = [
+      { id: "a", widgetId: "gh", level: "major", message: "Down", ts: 1000, lastTs: 5000 },
+      { id: "b", widgetId: "gh", level: "ok", message: "Up", ts: 6000 },
+      { id: "c", widgetId: "aws", level: "major", message: "Down", ts: 2000 }
+    ];
+    const base = { widgetId: "", status: "", search: "", from: null, to: null };
+    expect(app.filterHistoryRows(history, { ...base, widgetId: "gh", status: "major" }).map(h => h.id)).toEqual(["a"]);
+    expect(app.filterHistoryRows(history, { ...base, from: 4000, to: 5500 }).map(h => h.id)).toEqual(["a"]);
+    expect(app.filterHistoryRows(history, { ...base, from: 5500 }).map(h => h.id)).toEqual(["b"]);
+    expect(app.filterHistoryRows(history, { ...base, status: "operational" }).map(h => h.id)).toEqual(["b"]);
+    // aws is still down, so only the gh outage counts as resolved
+    expect(app.filterHistoryRows(history, { ...base, status: "resolved" }).map(h => h.id)).toEqual(["a"]);
+  });
+
+  test("Retention downsamples old ok rows and enforces age and row limits", () => {
+    const hour = 3600 * 1000;
+    const now = Date.parse("2025-02-01T00:00:00Z");
+    const base = now - 48 * hour;
+    const db = {
+      history: [
+        { id: "old", widgetId: "a", level: "ok", message: "ok", ts: now - 40 * 24 * hour },
+        { id: "h1", widgetId: "a", level: "ok", message: "ok", ts: base, lastTs: base + 10 * 60000, count: 10 },
+        { id: "h2", widgetId: "a", level: "ok", message: "Looks operational", ts: base + 20 * 60000, count: 5 },
+        { id: "h3", widgetId: "a", level: "warning", message: "slow", ts: base + 30 * 60000 },
+        { id: "h4", widgetId: "a", level: "ok", message: "ok", ts: now - hour }
+      ],
+      incidents: [{ id: "i1", end: now - 40 * 24 * hour }, { id: "i2", end: null }],
+      maintenanceWindows: [],
+      logs: [{ ts: now }, { ts: now }, { ts: now }],
+      notifications: []
+    };
+    const policy = { maxAgeDays: 30, maxRowsPerService: 3, downsampleAfterHours: 24, maxLogs: 2, maxNotifications: 10 };
+
+    app.applyRetention(db, policy, now);
+
+    expect(db.history.map(r => r.id)).toEqual(["h1", "h3", "h4"]);
+    expect(db.history[0].aggregate).toBe(true);
+    expect(db.history[0].count).toBe(15);
+    expect(db.incidents.map(i => i.id)).toEqual(["i2"]);
+    expect(db.logs.length).toBe(2);
+  });
+
+  test("A full store retries with halved limits for logs, notifications and audit entries", async () => {
+    const OPM = appState(app);
+    const now = Date.now();
+    const records = n => Array.from({ length: n }, (_, i) => ({ id: `r${i}`, ts: now - i }));
+    app.ensureDBShape();
+    Object.assign(OPM.db, { logs: records(3), notifications: records(8), audit: records(8) });
+    OPM.db.retention = { ...OPM.db.retention, maxLogs: 1, maxNotifications: 8, maxAuditEntries: 8 };
+    const saved = [];
+    OPM.storage = { name: "test", save: db => { saved.push(db); return Promise.resolve(); } };
+
+    await app.handleSaveError(Object.assign(new Error("full"), { name: "QuotaExceededError" }));
+    expect(saved.length).toBe(1);
+    expect(OPM.db.logs.length).toBe(1);
+    expect(OPM.db.notifications.length).toBe(4);
+    expect(OPM.db.audit.length).toBe(4);
+  });
+
   /* --------------------------------------------------------------
      SETTINGS SYSTEM
   -------------------------------------------------------------- */
@@ -189,6 +591,250 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(dom.window.document.body.classList.contains("compact")).toBe(true);
   });
 
+  /* --------------------------------------------------------------
+     ADMIN: STATUS PAGE EDITOR
+  -------------------------------------------------------------- */
+
+  test("Status page overrides patch, hide, add and reorder config pages", () => {
+    const config = [
+      { id: "gh", name: "GitHub", api: "https://www.githubstatus.com/api/v2/summary.json", provider: "statuspage", enabled: true },
+      { id: "aws", name: "AWS", api: "https://status.aws.amazon.com/rss/all.rss", enabled: true },
+      { id: "cf", name: "Cloudflare", api: "https://www.cloudflarestatus.com/history.atom", enabled: true }
+    ];
+    const overrides = [
+      { id: "gh", enabled: false, provider: null },
+      { id: "aws", deleted: true },
+      { id: "page-1", name: "Internal", api: "https://status.internal.example.com/" }
+    ];
+    const merged = app.mergeStatusPages(config, overrides, ["page-1", "cf"]);
+
+    expect(merged.map(p => p.id)).toEqual(["page-1", "cf", "gh"]);
+    expect(merged[0]).toMatchObject({ origin: "admin", enabled: true, env: "all" });
+    expect(merged[2]).toMatchObject({ origin: "config", enabled: false, provider: null, name: "GitHub" });
+  });
+
+  test("Status page edits store only the fields that differ from the config file", () => {
+    const configPage = { id: "gh", name: "GitHub", api: "https://www.githubstatus.com/api/v2/summary.json", provider: "statuspage", enabled: true };
+    const patch = app.toStatusPageOverride({ ...configPage, provider: undefined, pollInterval: 120 }, configPage);
+    expect(patch).toEqual({ id: "gh", provider: null, pollInterval: 120 });
+  });
+
+  test("Status page validation rejects bad URLs and duplicates", () => {
+    const pages = [{ id: "gh", name: "GitHub", api: "https://www.githubstatus.com/api/v2/summary.json", env: "all" }];
+    const errors = app.validateStatusPage(
+      { id: "new", name: "github", api: "https://WWW.githubstatus.com/api/v2/summary.json/", env: "production" },
+      pages
+    );
+    expect(errors).toHaveLength(2);
+    expect(app.validateStatusPage({ id: "x", name: "X", api: "ftp://example.com", env: "all" }, pages))
+      .toContain("API URL must be an http(s) address.");
+    expect(app.validateStatusPage({ id: "gh", name: "GitHub", api: pages[0].api, env: "all" }, pages)).toEqual([]);
+  });
+
+  test("Duplicating a status page moves the copy to a free environment or clears its API URL", () => {
+    const api = "https://status.example.com/api/v2/summary.json";
+    const staging = { id: "ex", name: "Example", api, env: "staging" };
+    expect(app.pickDuplicateEnv(staging, [staging])).toBe("production");
+    expect(app.validateStatusPage({ ...staging, id: "copy", name: "Example (copy)", env: "production" }, [staging])).toEqual([]);
+
+    const everywhere = { ...staging, env: "all" };
+    expect(app.pickDuplicateEnv(everywhere, [everywhere])).toBeNull();
+    expect(app.pickDuplicateEnv(staging, [staging, { ...staging, id: "ex-prod", name: "Example prod", env: "production" }])).toBeNull();
+  });
+
+  /* --------------------------------------------------------------
+     INTEGRATIONS
+  -------------------------------------------------------------- */
+
+  test("Refresh-all polls each integration once however many widgets it feeds", async () => {
+    const OPM = appState(app);
+    let finish;
+    app.pollIntegration = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    app.queueRefresh = jest.fn(() => Promise.resolve());
+    OPM.widgets = {
+      "nr-api": { config: { id: "nr-api", integrationId: "int-newrelic" } },
+      "nr-web": { config: { id: "nr-web", integrationId: "int-newrelic" } },
+      gh: { config: { id: "gh" } }
+    };
+
+    const all = app.refreshAllWidgets();
+    // A widget refresh while the poll runs joins it instead of polling again
+    const single = app.refreshIntegration("int-newrelic");
+    expect(app.pollIntegration).toHaveBeenCalledTimes(1);
+    expect(app.queueRefresh.mock.calls).toEqual([["gh"]]);
+
+    finish({ status: "ok" });
+    await expect(single).resolves.toEqual({ status: "ok" });
+    await all;
+    app.refreshIntegration("int-newrelic");
+    expect(app.pollIntegration).toHaveBeenCalledTimes(2);
+  });
+
+  test("PagerDuty incidents and on-call normalize into KPI data", () => {
+    const sample = require("./config/integrations.json").find(i => i.id === "int-pagerduty").sampleResponse;
+    const result = app.normalizePagerDutyResult(
+      {
+        incidents: [
+          ...sample.incidents,
+          { id: "P2", status: "acknowledged", title: "Queue backlog", service: { summary: "Workers" }, urgency: "low", created_at: "2025-01-01T13:00:00Z" },
+          { id: "P3", status: "resolved", title: "Old", created_at: "2025-01-01T10:00:00Z" }
+        ]
+      },
+      { oncalls: [{ escalation_level: 2, user: { summary: "Backup" } }, { escalation_level: 1, user: { summary: "Jordan Lee" } }] }
+    );
+
+    expect(result.count).toBe(2);
+    expect(result.tone).toBe("down");
+    expect(result.items.map(i => i.id)).toEqual(["P12345", "P2"]);
+    expect(result.items[1]).toMatchObject({ service: "Workers", severity: "low" });
+    expect(result.onCall.name).toBe("Jordan Lee");
+    expect(result.sub).toContain("Jordan Lee");
+
+    expect(app.normalizePagerDutyResult({ incidents: [] }, null)).toMatchObject({ count: 0, tone: "ok", onCall: null });
+  });
+
+  test("Azure DevOps builds produce a health KPI and main pipeline status", () => {
+    const build = (id, name, result, finishTime) => ({
+      id, buildNumber: `2025.${id}`, status: "completed", result, finishTime,
+      definition: { id: name.length, name }, sourceBranch: "refs/heads/main",
+      _links: { web: { href: `https://dev.azure.com/acme/web/_build/results?buildId=${id}` } }
+    });
+    const result = app.normalizeAzureDevOpsResult(
+      {
+        value: [
+          build(1, "CI Build", "succeeded", "2025-01-01T10:00:00Z"),
+          build(2, "CI Build", "failed", "2025-01-01T12:00:00Z"),
+          build(3, "Nightly", "succeeded", "2025-01-01T11:00:00Z"),
+          build(4, "Nightly", "canceled", "2025-01-01T13:00:00Z")
+        ]
+      },
+      { value: [{ id: 9, name: "Release" }] },
+      { recentRuns: 20, mainPipeline: "ci build", mainServiceId: "int-azdo-main" }
+    );
+
+    expect(result.value).toBe("67%");
+    expect(result.count).toBe(1);
+    expect(result.tone).toBe("down");
+    expect(result.items.map(i => i.id)).toEqual(["CI Build", "Nightly", "Release"]);
+    expect(result.items[0]).toMatchObject({ status: "failed", url: expect.stringContaining("buildId=2") });
+    expect(result.items[2].status).toBe("idle");
+    expect(result.services).toEqual([expect.objectContaining({ id: "int-azdo-main", level: "major" })]);
+
+    // The bundled sample uses plain definition names
+    const sample = require("./config/integrations.json").find(i => i.id === "int-azdo").sampleResponse;
+    expect(app.normalizeAzureDevOpsResult(sample, null)).toMatchObject({ value: "100%", tone: "ok", services: [] });
+    expect(() => app.fillUrlTemplate("https://dev.azure.com/{org}/{project}", { org: "acme" })).toThrow("Missing project");
+  });
+
+  test("New Relic violations map priority to service levels", () => {
+    const sample = require("./config/integrations.json").find(i => i.id === "int-newrelic").sampleResponse;
+    const violations = {
+      violations: [
+        ...sample.violations,
+        { id: 9002, label: "Apdex Low", priority: "Warning", opened_at: 1735700500000, entity: { name: "Checkout Web" } },
+        { id: 9003, label: "Old", priority: "Critical", opened_at: 1735600000000, closed_at: 1735650000000, entity: "Payment API" }
+      ]
+    };
+    const applications = { applications: [{ name: "Payment API", health_status: "red" }, { name: "Search", health_status: "green" }] };
+
+    const aggregate = app.normalizeNewRelicResult(violations, applications, { aggregateId: "int-newrelic-alerts" });
+    expect(aggregate.count).toBe(2);
+    expect(aggregate.tone).toBe("down");
+    expect(aggregate.items.map(i => i.id)).toEqual(["9001", "9002", "app-Payment API"]);
+    expect(aggregate.items[0]).toMatchObject({ status: "major", service: "Payment API", ts: 1735700000000 });
+    expect(aggregate.services[0]).toMatchObject({ id: "int-newrelic-alerts", level: "major" });
+    expect(aggregate.services[0].message).toContain("API Error Rate High on Payment API");
+
+    const perEntity = app.normalizeNewRelicResult(violations, null, {
+      entities: [{ name: "checkout web", serviceId: "nr-checkout" }, { name: "Search", serviceId: "nr-search" }]
+    });
+    expect(perEntity.services.map(s => s.level)).toEqual(["warning", "ok"]);
+    expect(perEntity.services[1].incident).toBeNull();
+  });
+
+  test("Integration field schema drives auth headers, overrides and validation", () => {
+    const entry = {
+      id: "int-demo",
+      name: "Demo",
+      authType: "basic",
+      enabled: true,
+      pollInterval: 60,
+      fields: { username: { label: "User" }, password: "", region: { label: "Region", default: "eu" }, limit: 20 }
+    };
+    const fieldSchema = app.getIntegrationFieldSchema(entry);
+    const config = { ...entry, fieldSchema, fields: { username: "ops", password: "s3cret", region: "eu", limit: 20 } };
+    expect(fieldSchema.map(f => f.default)).toEqual(["", "", "eu", 20]);
+    expect(fieldSchema.map(f => [f.key, f.type, f.required])).toEqual([
+      ["username", "password", true], ["password", "password", true], ["region", "text", false], ["limit", "number", false]
+    ]);
+    expect(app.integrationAuthHeaders(config)).toEqual({ Authorization: `Basic ${Buffer.from("ops:s3cret").toString("base64")}` });
+    expect(app.integrationAuthHeaders({ authType: "apiKey", auth: { header: "X-Api-Key" }, fields: { apiKey: "k" } })).toEqual({ "X-Api-Key": "k" });
+    expect(() => app.integrationAuthHeaders({ ...config, fields: { username: "ops", password: "" } })).toThrow("Missing credentials: password");
+
+    // Credentials are left to the secrets vault
+    const values = { id: "int-demo", enabled: false, pollInterval: 60, fields: { ...config.fields, region: "us" } };
+    expect(app.toIntegrationOverride(values, entry)).toEqual({ id: "int-demo", enabled: false, fields: { region: "us" } });
+    expect(app.validateIntegrationSettings({ ...values, enabled: true, pollInterval: 5, fields: { ...values.fields, password: "" } }, config))
+      .toEqual(["Poll interval must be a whole number of at least 10 seconds.", "password is required."]);
+    expect(app.validateIntegrationSettings({ ...values, fields: { ...values.fields, password: "" } }, config)).toEqual([]);
+  });
+
+  test("Secrets vault encrypts with the passphrase and rejects a wrong one", async () => {
+    const salt = new Uint8Array(16).fill(7);
+    const vault = { key: await app.deriveVaultKey("correct horse", salt, 1000), salt, iterations: 1000 };
+    const blob = await app.encryptVault({ "int-azdo": { pat: "abc123" } }, vault);
+
+    expect(JSON.stringify(blob)).not.toContain("abc123");
+    expect(blob).toMatchObject({ version: 1, iterations: 1000, salt: Buffer.from(salt).toString("base64") });
+
+    const opened = await app.decryptVault(blob, "correct horse");
+    expect(opened.secrets).toEqual({ "int-azdo": { pat: "abc123" } });
+    await expect(app.decryptVault(blob, "wrong")).rejects.toThrow("Wrong passphrase");
+
+    const schema = [{ key: "pat", secret: true }, { key: "project", secret: false }];
+    expect(app.splitSecretFields({ pat: "abc123", project: "web" }, schema)).toEqual({ secrets: { pat: "abc123" }, plain: { project: "web" } });
+    expect(app.splitSecretFields({ pat: "", project: "web" }, schema).secrets).toEqual({});
+  });
+
+  test("Cleartext secrets stay stored until the vault is written and never reach the DB, snapshots, exports or logs", async () => {
+    const hookUrl = "https://hooks.slack.com/services/T000/B000/s3cr3tToken";
+    localStorage.clear();
+    localStorage.setItem("opm-db", JSON.stringify({ users: [], notificationChannels: [{ id: "c1", name: "#ops", type: "slack", url: hookUrl, enabled: true }] }));
+    await app.loadDB();
+    app.migratePlaintextSecrets();
+    const OPM = appState(app);
+
+    expect(JSON.stringify(OPM.db)).not.toContain(hookUrl);
+    expect(OPM.db.notificationChannels[0].urlMasked).toBe("https://hooks.slack.com/…");
+    app.logEvent("delivery", `Posting to ${hookUrl}`);
+    expect(JSON.stringify(OPM.db.logs)).not.toContain(hookUrl);
+    expect(JSON.stringify(await app.getFilteredExportData())).not.toContain(hookUrl);
+    dom.window.document.body.insertAdjacentHTML("beforeend", "<div id='publicLinkArea'></div>");
+    app.location = dom.window.location;
+    app.createPublicSnapshot();
+    const encoded = dom.window.document.querySelector("#publicLinkArea input").value.split("#public=")[1];
+    expect(atob(encoded)).not.toContain(hookUrl);
+
+    // A failed vault write must not cost the stored copy
+    app.saveDB();
+    expect(localStorage.getItem("opm-db")).toContain(hookUrl);
+    const setItem = localStorage.setItem;
+    localStorage.setItem = (key, value) => {
+      if (key === "opm-secrets") throw new Error("QuotaExceededError");
+      return setItem(key, value);
+    };
+    await expect(app.openVault("correct horse battery")).rejects.toThrow("QuotaExceededError");
+    localStorage.setItem = setItem;
+    app.lockVault();
+    app.saveDB();
+    expect(localStorage.getItem("opm-db")).toContain(hookUrl);
+
+    await app.openVault("correct horse battery");
+    expect(localStorage.getItem("opm-db")).not.toContain(hookUrl);
+    expect(localStorage.getItem("opm-secrets")).not.toContain(hookUrl);
+    expect(app.getChannelUrl({ id: "c1" })).toBe(hookUrl);
+  });
+
   /* --------------------------------------------------------------
      PUBLIC SNAPSHOT
   -------------------------------------------------------------- */
@@ -208,8 +854,130 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(dom.window.document.getElementById("viewAdmin").hidden).toBe(true);
   });
 
+  test("Passwords are stored as salted PBKDF2 hashes", async () => {
+    const salt = new Uint8Array(16).fill(7);
+    const stored = await app.hashPassword("hunter2hunter2", salt, 1000);
+
+    expect(stored).toMatchObject({ algo: "PBKDF2-SHA-256", iterations: 1000, salt: Buffer.from(salt).toString("base64") });
+    expect(JSON.stringify(stored)).not.toContain("hunter2");
+    expect((await app.hashPassword("hunter2hunter2", undefined, 1000)).hash).not.toBe(stored.hash);
+
+    await expect(app.verifyPassword("hunter2hunter2", stored)).resolves.toBe(true);
+    await expect(app.verifyPassword("hunter2hunter3", stored)).resolves.toBe(false);
+    await expect(app.verifyPassword("anything", null)).resolves.toBe(false);
+  });
+
+  test("Each role gets exactly its permissions and requirePermission denies the rest", () => {
+    const OPM = appState(app);
+    app.ensureDBShape();
+    const matrix = {
+      public: ["viewServices"],
+      viewer: ["viewServices", "viewLogs", "createPublicLinks"],
+      admin: ["viewServices", "manageServices", "manageIntegrations", "manageUsers", "viewLogs", "clearLogs", "createPublicLinks"]
+    };
+
+    Object.entries(matrix).forEach(([role, allowed]) => {
+      app.applySession(role === "public" ? null : { id: `user-${role}`, username: role, role }, null);
+      matrix.admin.forEach(permission => expect([role, permission, app.can(permission)]).toEqual([role, permission, allowed.includes(permission)]));
+    });
+
+    app.applySession({ id: "user-viewer", username: "viewer", role: "viewer" }, null);
+    expect(app.requirePermission("manageServices", "editing status pages")).toBe(false);
+    expect(OPM.db.logs.pop().text).toBe("Denied manageServices (editing status pages) for viewer");
+    expect(app.requirePermission("viewLogs", "reading logs")).toBe(true);
+
+    app.applySession(null, null);
+    expect(app.requirePermission("createPublicLinks", "sharing a snapshot")).toBe(false);
+    expect(OPM.db.logs.pop().text).toBe("Denied createPublicLinks (sharing a snapshot) for public");
+
+    // A role without viewServices gets no widgets, history or exports
+    vm.runInContext("ROLE_PERMISSIONS", app).public = [];
+    const grid = dom.window.document.getElementById("statusWidgetsGrid");
+    grid.innerHTML = "<article>stale</article>";
+    app.renderAllWidgets();
+    expect(grid.children).toHaveLength(0);
+    app.openHistoryModal();
+    expect(OPM.db.logs.pop().text).toBe("Denied viewServices (opening history) for public");
+    app.exportAnalytics("csv");
+    expect(OPM.db.logs.pop().text).toBe("Denied viewServices (exporting analytics) for public");
+  });
+
+  test("Alert-after checks can only be changed with manageServices", () => {
+    const OPM = appState(app);
+    const doc = dom.window.document;
+    app.ensureDBShape();
+    doc.body.insertAdjacentHTML("beforeend", "<select id='settingsAlertAfterChecks'><option value='1'>1</option><option value='3'>3</option></select>");
+    app.bindSettingsEvents();
+    const select = doc.getElementById("settingsAlertAfterChecks");
+
+    app.applySession({ id: "user-viewer", username: "viewer", role: "viewer" }, null);
+    select.value = "3";
+    select.dispatchEvent(new dom.window.Event("change"));
+    expect(OPM.settings.alertAfterChecks).toBe(1);
+    expect(select.value).toBe("1");
+
+    app.applySession({ id: "user-admin", username: "admin", role: "admin" }, null);
+    select.value = "3";
+    select.dispatchEvent(new dom.window.Event("change"));
+    expect(OPM.settings.alertAfterChecks).toBe(3);
+    expect(OPM.db.audit.pop()).toMatchObject({ action: "update", after: { alertAfterChecks: 3 } });
+  });
+
+  test("Sessions expire and take their role from the DB user, not the stored session", () => {
+    const OPM = appState(app);
+    const now = Date.now();
+    app.ensureDBShape();
+    OPM.db.users = [{ id: "user-ops", username: "ops", role: "viewer" }];
+
+    localStorage.setItem("opm-session", JSON.stringify({ userId: "user-ops", issued: now - 2000, expires: now - 1000 }));
+    expect(app.restoreSession(now)).toBeNull();
+    expect(OPM.role).toBe("public");
+    expect(localStorage.getItem("opm-session")).toBeNull();
+
+    // A session edited to claim admin still gets the viewer's rights
+    localStorage.setItem("opm-session", JSON.stringify({ userId: "user-ops", role: "admin", issued: now, expires: now + 60000 }));
+    expect(app.restoreSession(now).username).toBe("ops");
+    expect(OPM.role).toBe("viewer");
+    expect(app.can("manageUsers")).toBe(false);
+
+    localStorage.setItem("opm-session", JSON.stringify({ userId: "user-gone", issued: now, expires: now + 60000 }));
+    expect(app.restoreSession(now)).toBeNull();
+
+    // A live session that runs out mid-use drops back to public
+    app.applySession(OPM.db.users[0], { userId: "user-ops", issued: now - 2000, expires: now - 1 });
+    expect(app.can("viewLogs")).toBe(false);
+    expect(OPM.role).toBe("public");
+  });
+
+  /* --------------------------------------------------------------
+     AUDIT TRAIL
+  -------------------------------------------------------------- */
+
+  test("Audit entries diff nested snapshots and filter by actor, entity and text", () => {
+    const before = { name: "API", enabled: true, statusMap: { ok: "ok" }, tags: ["a"] };
+    const after = { name: "API", enabled: false, statusMap: { ok: "ok", degraded: "warning" }, tags: ["a", "b"] };
+
+    expect(app.diffAuditValues(before, after)).toEqual([
+      { path: "enabled", before: true, after: false },
+      { path: "statusMap.degraded", before: undefined, after: "warning" },
+      { path: "tags", before: ["a"], after: ["a", "b"] }
+    ]);
+    expect(app.diffAuditValues(null, { id: "x" })).toEqual([{ path: "id", before: undefined, after: "x" }]);
+    expect(app.diffAuditValues({ position: 2 }, { position: 2 })).toEqual([]);
+    expect(app.auditSnapshot({ username: "jlee", passwordHash: { hash: "abc" } })).toEqual({ username: "jlee" });
+
+    const entries = [
+      { actor: "admin", action: "update", entity: { type: "featureFlag", id: "beta", name: "beta" }, before: { enabled: false }, after: { enabled: true } },
+      { actor: "ops", action: "delete", entity: { type: "statusPage", id: "gh", name: "GitHub" }, before: { api: "https://x" }, after: null }
+    ];
+    expect(app.filterAuditEntries(entries, { actor: "ops" })).toHaveLength(1);
+    expect(app.filterAuditEntries(entries, { type: "featureFlag", action: "update" })).toHaveLength(1);
+    expect(app.filterAuditEntries(entries, { search: "github" })[0].actor).toBe("ops");
+    expect(app.filterAuditEntries(entries, { actor: "admin", type: "statusPage" })).toHaveLength(0);
+  });
+
   /* --------------------------------------------------------------
-     ANALYTICS (Placeholder tests)
+     ANALYTICS
   -------------------------------------------------------------- */
 
   test("Analytics placeholders render", () => {
@@ -218,6 +986,52 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(typeof ctx.fillText).toBe("function");
   });
 
+  test("Uptime excludes maintenance and counts only time at a major level as downtime", () => {
+    const H = 3600 * 1000;
+    const incidents = [
+      { id: "i1", widgetId: "gh", start: 2 * H, end: 3 * H, peakLevel: "major" },
+      // Peaks at major for half an hour of its three
+      { id: "i2", widgetId: "gh", start: 5 * H, end: 8 * H, peakLevel: "major" },
+      // Falls entirely inside maintenance, so it is not downtime
+      { id: "i3", widgetId: "gh", start: 10 * H, end: 11 * H, peakLevel: "major" }
+    ];
+    const history = [
+      [0, "ok"], [2 * H, "major"], [3 * H, "ok"], [5 * H, "minor"], [6 * H, "major"], [6.5 * H, "minor"],
+      [8 * H, "ok"], [10 * H, "major"], [11 * H, "ok"]
+    ].map(([ts, level]) => ({ widgetId: "gh", ts, lastTs: ts, level }));
+    const windows = [{ widgetId: "gh", start: new Date(10 * H).toISOString(), end: new Date(12 * H).toISOString() }];
+
+    const row = app.computeServiceReliability(history, incidents, windows, "gh", { from: 0, to: 20 * H });
+    expect(row.observedMs).toBe(18 * H);
+    expect(row.downtimeMs).toBe(1.5 * H);
+    expect(row.degradedMs).toBe(2.5 * H);
+    expect(row.uptime).toBeCloseTo((16.5 / 18) * 100);
+    expect(row.incidents).toBe(3);
+    expect(row.mttrMs).toBeCloseTo(5 * H / 3);
+    expect(row.mtbfMs).toBeCloseTo(16.5 * H / 3);
+  });
+
+  test("Analytics report aggregates services and buckets incidents by hour", () => {
+    const H = 3600 * 1000;
+    const now = 24 * H;
+    const db = {
+      history: [{ widgetId: "gh", ts: 0 }, { widgetId: "aws", ts: 12 * H }],
+      incidents: [
+        { id: "i1", widgetId: "gh", start: 1 * H, end: 2 * H, peakLevel: "major" },
+        { id: "i2", widgetId: "aws", start: 13 * H + 60000, end: null, peakLevel: "major" }
+      ],
+      maintenanceWindows: []
+    };
+    const report = app.computeAnalytics(db, [{ id: "gh", name: "GitHub" }, { id: "aws", name: "AWS" }], "24h", now);
+
+    expect(report.services.map(s => s.observedMs)).toEqual([24 * H, 12 * H]);
+    expect(report.totals.incidents).toBe(2);
+    expect(report.totals.mttrMs).toBe(H);
+    expect(report.trend).toHaveLength(24);
+    expect(report.trend[1].count).toBe(1);
+    expect(report.trend[13].count).toBe(1);
+  });
+
   /* --------------------------------------------------------------
      DB LOAD & SAVE
   -------------------------------------------------------------- */
@@ -228,6 +1042,133 @@ describe("OnePage Monitoring v2.1 — Tests", () => {
     expect(JSON.parse(localStorage.getItem("opm-db")).test).toBe("saved");
   });
 
+  test("Migrations upgrade an unversioned DB to the current schema", () => {
+    const db = {
+      environment: "production",
+      analyticsCache: { github: 99.5 },
+      stagingChanges: [{ id: "c1" }],
+      history: [
+        { id: "h1", widgetId: "gh", level: "major", message: "Down", ts: 1000 },
+        { id: "h2", widgetId: "gh", level: "ok", message: "Up", ts: 2000 }
+      ]
+    };
+    const applied = app.migrateDB(db);
+    expect(applied).toEqual(["2.0", "2.1", "2.2", "2.3", "2.4"]);
+    expect(db.version).toBe("2.4");
+    expect(db.environment.current).toBe("production");
+    expect(db.analyticsCache.uptime).toEqual({});
+    expect(db.admin.stagingChanges).toHaveLength(1);
+    expect(db.incidents).toHaveLength(1);
+
+    expect(app.migrateDB({ version: "9.0" })).toEqual([]);
+  });
+
+  test("Invalid records are quarantined instead of dropping the DB", () => {
+    const db = {
+      version: "2.3",
+      history: [
+        { id: "ok", widgetId: "gh", level: "ok", ts: 1000 },
+        { id: "bad", widgetId: "gh", level: "ok", ts: "yesterday" },
+        "garbage"
+      ],
+      logs: [{ ts: 5, type: "system", text: "no id yet" }]
+    };
+    const report = app.prepareDB(db);
+    expect(report.quarantined).toBe(2);
+    expect(db.history.map(h => h.id)).toEqual(["ok"]);
+    expect(db.logs).toHaveLength(1);
+    expect(db.quarantine[0].reason).toBe("ts should be a number");
+  });
+
+  test("Channels with a vaulted URL survive a reload and earlier quarantines are restored", () => {
+    const channel = { id: "c1", name: "#ops", type: "slack", urlMasked: "https://hooks.slack.com/…", enabled: true, template: { title: "{{title}}", text: "{{message}}" } };
+    localStorage.clear();
+    app.createLocalStorageAdapter().save({ version: "2.4", notificationChannels: [channel] });
+    const saved = JSON.parse(localStorage.getItem("opm-db"));
+    expect(app.prepareDB(saved).quarantined).toBe(0);
+    expect(saved.notificationChannels).toEqual([channel]);
+
+    const old = {
+      version: "2.3",
+      notificationChannels: [],
+      quarantine: [{ collection: "notificationChannels", reason: "missing url", record: { ...channel, id: "c2" }, ts: 1 }]
+    };
+    expect(app.prepareDB(old)).toMatchObject({ applied: ["2.4"], quarantined: 0 });
+    expect(old.notificationChannels.map(c => c.id)).toEqual(["c2"]);
+    expect(old.quarantine).toEqual([]);
+  });
+
+  test("Null records are quarantined, not fatal, and unreadable DBs are backed up", () => {
+    const db = { version: "2.3", history: [null], users: [null, { id: "user-ops", role: "viewer" }] };
+    const report = app.prepareDB(db);
+    expect(report.quarantined).toBe(2);
+    expect(db.history).toEqual([]);
+    expect(db.users.map(u => u.username)).toEqual(["ops"]);
+    expect(db.quarantine.map(q => q.reason)).toEqual(["not an object", "not an object"]);
+
+    localStorage.setItem("opm-db", "{not json");
+    expect(() => app.parseStoredDB(localStorage.getItem("opm-db"))).toThrow();
+    expect(localStorage.getItem("opm-db-corrupt-backup")).toBe("{not json");
+    expect(localStorage.getItem("opm-db")).toBeNull();
+  });
+
+  test("localStorage adapter round-trips and filters by service and time", async () => {
+    const adapter = app.createLocalStorageAdapter();
+    adapter.save({ history: [{ id: "h1", widgetId: "gh", ts: 100 }] });
+    const loaded = await adapter.load();
+    expect(loaded.history[0].id).toBe("h1");
+
+    const rows = [
+      { id: "a", widgetId: "gh", ts: 100 },
+      { id: "b", widgetId: "gh", ts: 300 },
+      { id: "c", widgetId: "aws", ts: 200 }
+    ];
+    expect(app.filterRecords(rows, { widgetId: "gh", from: 200 }).map(r => r.id)).toEqual(["b"]);
+    expect(app.filterRecords(rows, { to: 200 }).map(r => r.id)).toEqual(["a", "c"]);
+
+    await adapter.clear();
+    expect(await adapter.load()).toBeNull();
+  });
+
+  test("IndexedDB queries use the per-service index when a service is given", () => {
+    expect(app.idbQueryBounds({ widgetId: "gh", from: 100, to: 200 })).toEqual({ index: "widgetId_ts", lower: ["gh", 100], upper: ["gh", 200] });
+    expect(app.idbQueryBounds({ to: 200 })).toEqual({ index: "ts", lower: 0, upper: 200 });
+  });
+
+  test("History exports read rows by service through the storage query", async () => {
+    const OPM = appState(app);
+    app.ensureDBShape();
+    OPM.db.history = [
+      { id: "a", widgetId: "gh", level: "major", ts: 1000, lastTs: 5000, count: 3 },
+      { id: "b", widgetId: "gh", level: "ok", ts: 6000, count: 2 },
+      { id: "c", widgetId: "aws", level: "major", ts: 2000 }
+    ];
+    const queries = [];
+    const adapter = app.createLocalStorageAdapter();
+    OPM.storage = { ...adapter, query: (collection, filter) => { queries.push([collection, filter]); return adapter.query(collection, filter); } };
+
+    const rows = await app.queryHistoryRows({ widgetId: "gh", status: "", search: "", from: 4000, to: 5500 });
+    expect(queries).toEqual([["history", { widgetId: "gh", to: 5500 }]]);
+    // "a" started before the range but was still running inside it
+    expect(rows.map(r => r.id)).toEqual(["a"]);
+
+    dom.window.document.body.insertAdjacentHTML("beforeend", "<p id='historySummary'></p>");
+    await app.renderHistorySummary({ widgetId: "gh", status: "", search: "", from: null, to: null });
+    expect(dom.window.document.getElementById("historySummary").textContent).toBe("5 check(s) in 2 status run(s) match these filters");
+  });
+
+  test("DB splits into a core document and record collections", () => {
+    const { core, collections } = app.splitDBForStorage({
+      settings: { theme: "dark" },
+      history: [{ id: "h1" }],
+      logs: [],
+      notifications: [{ id: "n1" }]
+    });
+    expect(core).toEqual({ settings: { theme: "dark" } });
+    expect(collections.history).toHaveLength(1);
+    expect(collections.notifications[0].id).toBe("n1");
+  });
+
   /* --------------------------------------------------------------
      FEATURE FLAGS
   -------------------------------------------------------------- */